@@ -0,0 +1,35 @@
+import * as THREE from 'three';
+import { Match, DIRECTED } from './core/match.js';
+import { MatchHUD } from './hud/match.js';
+import { lossSummary, aceSummary } from './hud/kills.js';
+
+// --- BATTLE MATCH (Rounds for the multidomain and squadron pages) ---
+// Wraps a battle in a Match with its HUD, and marks the objective zone in the
+// scene when the rules have one. A scenario's director calls its own rounds, so
+// under a scenario every rule is off. `scores()` reads the battle's scoreboard,
+// `restart(seed)` rebuilds it in place.
+export function createBattleMatch({ battle, scene, teams, rules, scenario, scores, restart }) {
+    const match = new Match({
+        events: battle.events,
+        teams,
+        seed: battle.seed,
+        counts: () => battle.teamCounts(),
+        scores,
+        units: () => battle.agents.filter(a => a.alive),
+        restart
+    }, scenario ? { ...rules, ...DIRECTED } : rules);
+    const hud = new MatchHUD(match, {
+        details: () => [`ACE: ${aceSummary(battle.combat)}`, `LOSSES: ${lossSummary(battle.combat)}`]
+    });
+
+    const objective = match.rules.objective;
+    if(objective) {
+        const zone = new THREE.Mesh(
+            new THREE.SphereGeometry(objective.radius, 24, 12),
+            new THREE.MeshBasicMaterial({ color: 0xffffff, wireframe: true, transparent: true, opacity: 0.08 })
+        );
+        zone.position.set(...objective.position);
+        scene.add(zone);
+    }
+    return { match, hud };
+}
@@ -0,0 +1,158 @@
+import { Vec3 } from './math.js';
+
+// --- AI (Finite-state machine for the agent-based variants) ---
+// Every agent runs one StateMachine. Each step the agent gathers its senses
+// (target, range, threats, hp) and the machine walks its doctrine's transition
+// list in order, taking the first whose `from` matches the current state and
+// whose named condition holds. The agent then flies and fights by state.
+//
+// A doctrine is plain data, so teams (and scenarios) can tune the numbers or
+// replace the transition list outright:
+//
+//   { params: { retreatHp: 0.5 }, transitions: [{ from: ['PATROL'], to: 'ACQUIRE', when: 'contact' }, ...] }
+//
+// `from` lists states, or '*' for any state.
+
+export const STATES = ['PATROL', 'ACQUIRE', 'INTERCEPT', 'ATTACK', 'EVADE', 'RETREAT'];
+
+const DEFAULT_PARAMS = {
+    acquireTime: 0.5, // Seconds spent locking up a new contact before committing
+    attackRange: 1, // Share of weapon range at which to open fire
+    evadeAspect: 90, // Degrees off the nose a shooter must be before it counts as a threat
+    evadeTime: 2, // Seconds clear of threats before going back on the offensive
+    jinkPeriod: 0.8, // Seconds between reversals while jinking
+    retreatHp: 0.3 // Share of hp at which to break off and head home for repairs
+};
+
+// The defaults, in priority order: survival first, then the attack cycle
+const DEFAULT_TRANSITIONS = [
+    { from: ['*'], to: 'RETREAT', when: 'damaged' },
+    { from: ['PATROL', 'ACQUIRE', 'INTERCEPT', 'ATTACK'], to: 'EVADE', when: 'threatened' },
+    { from: ['EVADE'], to: 'PATROL', when: 'clear' },
+    { from: ['RETREAT'], to: 'PATROL', when: 'repaired' },
+    { from: ['ACQUIRE', 'INTERCEPT', 'ATTACK'], to: 'PATROL', when: 'lostContact' },
+    { from: ['PATROL'], to: 'ACQUIRE', when: 'contact' },
+    { from: ['ACQUIRE'], to: 'INTERCEPT', when: 'locked' },
+    { from: ['INTERCEPT'], to: 'ATTACK', when: 'inRange' },
+    { from: ['ATTACK'], to: 'INTERCEPT', when: 'outOfRange' }
+];
+
+// Conditions transitions can name: (senses, params, seconds in the current state) => bool
+const CONDITIONS = {
+    contact: s => !!s.target,
+    lostContact: s => !s.target,
+    locked: (s, p, time) => time >= p.acquireTime,
+    inRange: (s, p) => s.targetDistance <= s.weaponRange * p.attackRange,
+    outOfRange: (s, p) => s.targetDistance > s.weaponRange * p.attackRange * 1.2, // Some slack, so it doesn't flicker
+    threatened: s => s.mobile && !!s.threat,
+    clear: (s, p) => s.sinceThreat >= p.evadeTime,
+    damaged: (s, p) => s.mobile && s.hp <= p.retreatHp,
+    repaired: s => s.hp >= 1
+};
+
+export const CONDITION_NAMES = Object.keys(CONDITIONS);
+
+// Thrown for a bad doctrine; `errors` lists one line per problem
+export class DoctrineError extends Error {
+    constructor(errors) {
+        super(`Invalid doctrine:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+        this.name = 'DoctrineError';
+        this.errors = errors;
+    }
+}
+
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Every problem with a doctrine override, as "path: message" lines. Empty means valid.
+export function validateDoctrine(data, path = 'doctrine') {
+    const errors = [];
+    const fail = (at, message) => errors.push(`${at}: ${message}`);
+    if(!isObject(data)) {
+        fail(path, 'must be an object');
+        return errors;
+    }
+    Object.keys(data).forEach(key => {
+        if(key !== 'params' && key !== 'transitions') fail(`${path}.${key}`, 'is not a known field');
+    });
+    if(data.params !== undefined) {
+        if(!isObject(data.params)) fail(`${path}.params`, 'must be an object');
+        else Object.entries(data.params).forEach(([key, value]) => {
+            if(!(key in DEFAULT_PARAMS)) fail(`${path}.params.${key}`, `is not a known param, expected one of ${Object.keys(DEFAULT_PARAMS).join(', ')}`);
+            else if(typeof value !== 'number' || !Number.isFinite(value) || value < 0) fail(`${path}.params.${key}`, 'must be a number of at least 0');
+        });
+    }
+    if(data.transitions !== undefined) {
+        if(!Array.isArray(data.transitions) || !data.transitions.length) fail(`${path}.transitions`, 'must be a non-empty list');
+        else data.transitions.forEach((t, i) => {
+            const at = `${path}.transitions[${i}]`;
+            if(!isObject(t)) return fail(at, 'must be an object');
+            if(!Array.isArray(t.from) || !t.from.length || !t.from.every(s => s === '*' || STATES.includes(s))) {
+                fail(`${at}.from`, `must list states from ${STATES.join(', ')}, or '*'`);
+            }
+            if(!STATES.includes(t.to)) fail(`${at}.to`, `must be one of ${STATES.join(', ')}`);
+            if(!(t.when in CONDITIONS)) fail(`${at}.when`, `must be one of ${CONDITION_NAMES.join(', ')}`);
+        });
+    }
+    return errors;
+}
+
+// The default doctrine with `override` applied: params merge, transitions replace.
+// Throws DoctrineError when the override is invalid.
+export function makeDoctrine(override = {}) {
+    const errors = validateDoctrine(override);
+    if(errors.length) throw new DoctrineError(errors);
+    return {
+        params: { ...DEFAULT_PARAMS, ...override.params },
+        transitions: override.transitions || DEFAULT_TRANSITIONS
+    };
+}
+
+export class StateMachine {
+    constructor(doctrine, state = 'PATROL') {
+        this.doctrine = doctrine;
+        this.state = state;
+        this.time = 0; // Seconds in the current state
+    }
+
+    get params() {
+        return this.doctrine.params;
+    }
+
+    // Takes the first transition that fires; returns { from, to } when the state changes
+    update(dt, senses) {
+        this.time += dt;
+        for(const t of this.doctrine.transitions) {
+            if(t.to === this.state || !(t.from.includes('*') || t.from.includes(this.state))) continue;
+            if(!CONDITIONS[t.when](senses, this.params, this.time)) continue;
+            const from = this.state;
+            this.state = t.to;
+            this.time = 0;
+            return { from, to: t.to };
+        }
+        return null;
+    }
+}
+
+const UP = new Vec3(0, 1, 0);
+
+// Whether something at `from` sits outside a cone of `degrees` around the nose of a unit at
+// `position` flying along `velocity`: a shooter there is one it can't fight back against
+export function offNose(position, velocity, from, degrees) {
+    const los = from.clone().sub(position);
+    return velocity.angleTo(los) > degrees * Math.PI / 180;
+}
+
+// Heading out of a threat's line of fire. Breaks square to the line from `threatPos` along
+// `threatVel`; with a `jink` of +1 or -1 it also swings hard to one side, and reversing
+// the sign every so often keeps a gunner from settling the aim.
+export function breakTurn(position, threatPos, threatVel, jink = 0) {
+    const path = threatVel.lengthSq() > 0 ? threatVel.clone().normalize() : position.clone().sub(threatPos).normalize();
+    const away = position.clone().sub(threatPos);
+    away.addScaledVector(path, -away.dot(path));
+    const side = new Vec3().crossVectors(path, UP);
+    if(side.lengthSq() < 1e-6) side.set(1, 0, 0);
+    if(away.lengthSq() < 1e-6) away.copy(side); // Dead ahead of it: pick a side
+    away.normalize();
+    if(jink) away.addScaledVector(side.normalize(), jink).normalize();
+    return away;
+}
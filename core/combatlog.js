@@ -0,0 +1,96 @@
+// --- COMBAT LOG (Who hit whom, and who gets the credit) ---
+// Every weapon hit is noted against the unit it hit: when, who fired, with what
+// and for how much. When a unit dies its recent hits become a kill record. The
+// killer is whoever hit it last within the assist window, even when a crash, a
+// fire or a flame-out finished it off; every other enemy who hurt it in that
+// window gets an assist. Scores and statistics are counted from these records
+// alone, so a team scores for units it destroys, never for its own losses, and
+// friendly fire scores nothing.
+
+// Who a unit was, kept apart from the live agent so records stay valid after it's gone
+const who = agent => ({ id: agent.id, team: agent.team, unit: agent.unit });
+
+export class CombatLog {
+    // `assistWindow` is how many seconds a hit still counts toward a kill
+    constructor(teams, assistWindow = 10) {
+        this.teams = teams;
+        this.assistWindow = assistWindow;
+        this.reset();
+    }
+
+    reset() {
+        this.hits = new Map(); // Victim id -> [{ time, shooter, weapon, amount }], oldest first
+        this.records = []; // Every kill record, in order
+        this.scores = {};
+        this.teamStats = {}; // Team -> { kills, losses, assists }
+        this.teams.forEach(team => {
+            this.scores[team] = 0;
+            this.teamStats[team] = { kills: 0, losses: 0, assists: 0 };
+        });
+        this.unitStats = new Map(); // Unit id -> { id, team, unit, kills, assists, damage }
+    }
+
+    // Notes a hit on `victim` of `amount` from `shooter`'s `weapon` at `time`
+    hit(victim, shooter, weapon, amount, time) {
+        let hits = this.hits.get(victim.id);
+        if(!hits) this.hits.set(victim.id, hits = []);
+        hits.push({ time, shooter: who(shooter), weapon, amount });
+        while(time - hits[0].time > this.assistWindow) hits.shift();
+        this.statsOf(shooter).damage += amount;
+    }
+
+    // Writes up `victim`'s death at `time` from `cause` (a weapon kind, or CRASH, FIRE or FUEL).
+    // Returns the record: { time, victim, killer, weapon, cause, assists }, where killer is
+    // null (and weapon with it) when nobody had hit the victim lately.
+    kill(victim, cause, time) {
+        const hits = (this.hits.get(victim.id) || []).filter(h => time - h.time <= this.assistWindow);
+        this.hits.delete(victim.id);
+        const last = hits.length ? hits[hits.length - 1] : null;
+        const killer = last ? last.shooter : null;
+        const assists = [];
+        hits.forEach(({ shooter }) => {
+            if(shooter.team === victim.team || (killer && shooter.id === killer.id)) return;
+            if(!assists.some(a => a.id === shooter.id)) assists.push(shooter);
+        });
+        const record = { time, victim: who(victim), killer, weapon: last ? last.weapon : null, cause, assists };
+        this.add(record);
+        return record;
+    }
+
+    // Counts a finished kill record into the scores and stats. A replay rebuilds its
+    // stats this way from the records it logged.
+    add(record) {
+        const { victim, killer, assists } = record;
+        this.records.push(record);
+        this.teamStats[victim.team].losses++;
+        if(killer && killer.team !== victim.team) {
+            this.scores[killer.team]++;
+            this.teamStats[killer.team].kills++;
+            this.statsOf(killer).kills++;
+        }
+        assists.forEach(a => {
+            this.teamStats[a.team].assists++;
+            this.statsOf(a).assists++;
+        });
+    }
+
+    statsOf(unit) {
+        let stats = this.unitStats.get(unit.id);
+        if(!stats) this.unitStats.set(unit.id, stats = { ...who(unit), kills: 0, assists: 0, damage: 0 });
+        return stats;
+    }
+
+    // The unit with the most kills (assists break ties), or null before anyone scores
+    ace() {
+        let best = null;
+        this.unitStats.forEach(s => {
+            if(s.kills > 0 && (!best || s.kills > best.kills || (s.kills === best.kills && s.assists > best.assists))) best = s;
+        });
+        return best;
+    }
+
+    // The last `count` kill records, newest first
+    recent(count) {
+        return this.records.slice(-count).reverse();
+    }
+}
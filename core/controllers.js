@@ -0,0 +1,143 @@
+import { Vec3 } from './math.js';
+
+// --- AI CONTROLLERS (Pluggable pilot brains) ---
+// A controller flies every unit of the teams it is assigned to. Each step the
+// battle hands it one agent's observation and it answers with a command:
+//
+//   decide(observation, dt) => { steer, target, fire, state }
+//
+// observation (all vectors are copies, safe to keep or change):
+//   time, memory            sim time; a per-agent object the controller may keep notes in
+//   self                    { id, team, unit, domain, position, velocity, hp, maxHp, speed,
+//                             sensorRange, fuel, home, weapons: [{ kind, range, rounds, targets }] }
+//                           rounds and fuel are null when unlimited; sonobuoys is how many are left
+//   contacts                enemies on the team's contact picture within sensor range, nearest first:
+//                           { id, team, unit, domain, position, velocity, distance, hp, age, tracked }
+//                           position and velocity are as last seen, `age` seconds ago; only
+//                           tracked contacts can be engaged, and hp is null for the rest
+//   allies                  friends in sensor range, nearest first:
+//                           { id, team, unit, domain, position, velocity, distance, hp }
+//   threats                 enemy missiles and torpedoes homing on this unit: { id, type, position, velocity, distance }
+//   obstacles               terrain in sensor range: { type, position, size } or { type, position, radius }
+//
+// command (every field optional):
+//   steer                   direction to fly (a Vec3 or [x, y, z]); holds course when left out
+//   target                  id of the tracked contact to engage
+//   fire                    true to fire every weapon that bears on the target, or a list of weapon kinds
+//   state                   label shown on the HUD and logged on change
+//   ping                    true to ping the active sonar (subs only, at most every pingInterval)
+//   buoy                    true to drop a sonobuoy on the sea below (jets carrying them only)
+//
+// The battle still flies the airframe, keeps units in their domain and off terrain,
+// rations ammo and sends units home to rearm when dry: controllers only decide.
+//
+// 'fsm' is the built-in state machine (core/ai.js) and every team's default.
+
+const CONTROLLERS = {
+    fsm: { builtin: true }
+};
+
+export function registerController(name, controller) {
+    if(typeof name !== 'string' || !name) throw new Error('Controller name must be a non-empty string');
+    if(!controller || typeof controller.decide !== 'function') throw new Error(`Controller "${name}" needs a decide(observation, dt) method`);
+    CONTROLLERS[name] = controller;
+    return controller;
+}
+
+export function controllerNames() {
+    return Object.keys(CONTROLLERS);
+}
+
+// A registered controller by name, or a controller object passed straight through.
+// Throws for an unknown name or an object without a decide(observation, dt) method.
+export function resolveController(controller) {
+    const named = typeof controller === 'string';
+    const found = named ? CONTROLLERS[controller] : controller;
+    if(found && (found === CONTROLLERS.fsm || typeof found.decide === 'function')) return found;
+    const what = named ? `"${controller}"` : (controller && typeof controller === 'object' ? 'object' : String(controller));
+    throw new Error(`Unknown controller ${what} (expected ${controllerNames().join(', ')}, or an object with a decide(observation, dt) method)`);
+}
+
+// Reads `?controllers=CYAN:hunter,LIME:slasher` from a query string into
+// { controllers: { CYAN: 'hunter', ... }, errors }. Pairs that aren't TEAM:NAME, or that name
+// a team not in `teams` or an unregistered controller, are skipped with a line in `errors`.
+export function controllersFromQuery(search, teams) {
+    const controllers = {};
+    const errors = [];
+    const match = /[?&]controllers=([^&]+)/.exec(search || '');
+    if(!match) return { controllers, errors };
+    let pairs;
+    try {
+        pairs = decodeURIComponent(match[1]).split(',');
+    } catch(e) {
+        return { controllers, errors: [`Malformed controllers "${match[1]}"`] };
+    }
+    pairs.forEach(pair => {
+        const [team, name, ...rest] = pair.split(':');
+        if(!team || !name || rest.length) return errors.push(`"${pair}" should be TEAM:NAME`);
+        if(!teams.includes(team)) return errors.push(`Unknown team "${team}" (expected ${teams.join(', ')})`);
+        try {
+            resolveController(name);
+        } catch(e) {
+            return errors.push(e.message);
+        }
+        controllers[team] = name;
+    });
+    return { controllers, errors };
+}
+
+// --- EXAMPLE POLICIES ---
+
+const nearestEngageable = (self, contacts) => contacts.find(c => c.tracked && self.weapons.some(w => w.targets.includes(c.domain)));
+
+const CRUISE_ALTITUDE = 150;
+
+// Nothing in sight: turn back toward the middle once far out, and jets drift back to cruise height
+const patrol = (self, state) => {
+    const out = new Vec3(self.position.x, 0, self.position.z);
+    const steer = out.length() > 400 ? out.negate() : new Vec3(self.velocity.x, 0, self.velocity.z);
+    steer.normalize();
+    if(self.domain === 'AIR') steer.y = Math.max(-0.3, Math.min(0.3, (CRUISE_ALTITUDE - self.position.y) / 300));
+    return { steer, state };
+};
+
+const longestReach = (self, contact) => Math.max(0, ...self.weapons.filter(w => w.targets.includes(contact.domain)).map(w => w.range));
+
+// Pure pursuit of the nearest enemy it can hurt, firing whenever anything bears. Never
+// evades and never breaks off.
+registerController('hunter', {
+    decide({ self, contacts }) {
+        const target = nearestEngageable(self, contacts);
+        if(!target) return patrol(self, 'HUNT');
+        return {
+            steer: target.position.clone().sub(self.position),
+            target: target.id,
+            fire: true,
+            state: 'HUNT'
+        };
+    }
+});
+
+// Boom and zoom: one firing pass through the target, then extends straight out past
+// weapon range before turning back in, so it never settles into a turning fight.
+registerController('slasher', {
+    decide({ self, contacts, memory }) {
+        const target = nearestEngageable(self, contacts);
+        if(!target) {
+            memory.extending = false;
+            return patrol(self, 'SEARCH');
+        }
+        const range = longestReach(self, target);
+        if(target.distance < range * 0.3) memory.extending = true;
+        else if(target.distance > range) memory.extending = false;
+
+        const toTarget = target.position.clone().sub(self.position);
+        if(memory.extending) {
+            // Run out level along the current heading, leaning away from the target
+            const away = self.velocity.clone().normalize().addScaledVector(toTarget.normalize(), -0.5);
+            away.y = 0.1;
+            return { steer: away, state: 'EXTEND' };
+        }
+        return { steer: toTarget, target: target.id, fire: true, state: 'SLASH' };
+    }
+});
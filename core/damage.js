@@ -0,0 +1,81 @@
+// --- DAMAGE MODEL (Weapons against armour, critical hits and fires) ---
+// How hard a hit lands depends on what fired it and what it hit. Each weapon
+// kind has a multiplier per target domain: lasers barely mark a hardened turret,
+// torpedoes gut anything under water and bombs crack emplacements. The target's
+// armour then soaks a flat amount off the hit, though some of it always gets
+// through. A hit can also be critical and knock out a subsystem: a hit engine
+// slows the unit until it is repaired, hit weapons fall silent for a while, and
+// a fire burns on, doing damage over time. Crashes, fires and flame-outs aren't
+// weapon hits and skip all of this.
+
+// Multiplier on a weapon's damage by the domain of the unit it hits
+export const DAMAGE_MATRIX = {
+    LASER:   { AIR: 1,   SEA: 0.5, LAND: 0.4 },
+    BOMB:    { AIR: 0.5, SEA: 1,   LAND: 1.6 },
+    TORPEDO: { AIR: 0.5, SEA: 2,   LAND: 0.6 },
+    MISSILE: { AIR: 1,   SEA: 0.5, LAND: 0.8 }
+};
+
+export const SUBSYSTEMS = ['ENGINE', 'WEAPONS', 'FIRE'];
+
+// Least share of a hit that gets past armour
+const MIN_SHARE = 0.2;
+
+// Damage a hit of `amount` from a `kind` weapon does to a unit of `domain` wearing `armor`.
+// Anything that isn't a weapon passes through unchanged.
+export function weaponDamage(amount, kind, domain, armor) {
+    const row = DAMAGE_MATRIX[kind];
+    if(!row) return amount;
+    const hit = amount * row[domain];
+    return Math.max(hit * MIN_SHARE, hit - armor);
+}
+
+// What state a unit's subsystems are in
+export class Condition {
+    constructor() {
+        this.repair();
+    }
+
+    // Back in full working order, with any fire put out
+    repair() {
+        this.engineHit = false;
+        this.silenced = 0; // Seconds until the weapons work again
+        this.burning = 0; // Seconds the fire has left
+        this.fireTick = 0; // Seconds to the fire's next damage
+    }
+
+    get canFire() {
+        return this.silenced <= 0;
+    }
+
+    // Share of full throttle the engine can make
+    throttle(crippled) {
+        return this.engineHit ? crippled : 1;
+    }
+
+    // Rolls whether a weapon hit was critical. Knocks out one of `systems` and returns it,
+    // or returns null. `critical` is { chance, silenceTime } and `fire` { damage, time, tick }.
+    critical(rng, systems, critical, fire) {
+        if(!rng.chance(critical.chance)) return null;
+        const system = rng.pick(systems);
+        if(system === 'ENGINE') this.engineHit = true;
+        else if(system === 'WEAPONS') this.silenced = critical.silenceTime;
+        else {
+            if(this.burning <= 0) this.fireTick = fire.tick;
+            this.burning = fire.time;
+        }
+        return system;
+    }
+
+    // Counts the step down. Returns the damage the fire does this step: `fire.damage` per
+    // second, dealt in one lump each `fire.tick` seconds.
+    update(dt, fire) {
+        this.silenced = Math.max(0, this.silenced - dt);
+        if(this.burning <= 0) return 0;
+        this.burning -= dt;
+        this.fireTick -= dt;
+        if(this.fireTick > 0) return 0;
+        this.fireTick += fire.tick;
+        return fire.damage * fire.tick;
+    }
+}
@@ -0,0 +1,25 @@
+// --- EVENT BUS ---
+// The core never touches meshes or the DOM. Anything a renderer, HUD or
+// headless runner cares about is announced here instead.
+
+export class EventBus {
+    constructor() {
+        this.handlers = {};
+    }
+
+    on(name, fn) {
+        (this.handlers[name] = this.handlers[name] || []).push(fn);
+        return () => this.off(name, fn);
+    }
+
+    off(name, fn) {
+        const list = this.handlers[name];
+        if(list) this.handlers[name] = list.filter(h => h !== fn);
+    }
+
+    emit(name, payload) {
+        const list = this.handlers[name];
+        if(!list) return;
+        for(const fn of list) fn(payload);
+    }
+}
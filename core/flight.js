@@ -0,0 +1,138 @@
+import { Vec3 } from './math.js';
+
+// --- FLIGHT MODEL (Aerodynamics for AIR units) ---
+// A jet's attitude is its nose (the velocity) and its lift vector (`up`). It turns
+// by banking: the autopilot rolls the lift vector toward where it wants to go, then
+// pulls. The pull is capped by the airframe's G limit and by the lift the wings make
+// at the current speed, so a slow jet turns wide and one below stall speed can't
+// hold its nose up. Hard pulls bleed speed, climbs trade it for height and dives buy
+// it back, which is what makes fighting on energy pay.
+//
+// Units match the rest of the core: speeds per 60Hz step, rates per second.
+
+// One g in world units per step², scaled up from 9.8 m/s² so turns fit the arena
+export const GRAVITY = 30 / 3600;
+
+const WORLD_UP = new Vec3(0, 1, 0);
+const MIN_SPEED = 0.25; // Share of stall speed kept in a tail slide, so the nose stays defined
+const OVERHEAD = 0.5; // Level share of a climb steeper than this counts as straight up
+
+// Largest share (0 to 1) of `turn` that fits on top of `hold` within `cap`
+function turnShare(hold, turn, cap) {
+    const tt = turn.lengthSq();
+    const hh = hold.lengthSq();
+    if(tt === 0 || hh >= cap * cap) return 0;
+    const ht = hold.dot(turn);
+    const s = (-ht + Math.sqrt(ht * ht - tt * (hh - cap * cap))) / tt;
+    return Math.min(1, s);
+}
+
+export class Airframe {
+    // `unit` is a registry entry with an `aero` section. Brings `velocity` up to
+    // cruise along its current heading, wings level.
+    constructor(unit, velocity) {
+        this.aero = unit.aero;
+        this.topSpeed = unit.mobility.speed;
+        this.agility = unit.mobility.turn; // Share of the heading error turned per step, before limits
+        this.up = WORLD_UP.clone();
+        this.load = 1; // G being pulled
+        this.stalled = false;
+        velocity.setLength(this.topSpeed);
+        this.square(velocity);
+    }
+
+    // Flies one step toward the unit vector `desired`, updating `velocity` in place
+    fly(velocity, desired, dt, throttle = 1) {
+        const { stallSpeed, maxG, rollRate, thrust, drag } = this.aero;
+        const k = dt * 60;
+        const speed = velocity.length();
+        const nose = velocity.clone().multiplyScalar(1 / speed);
+
+        // Lift wanted: hold the nose up against gravity, then turn toward `desired` with
+        // whatever the wings have left at this speed
+        const cap = Math.min(maxG, (speed / stallSpeed) ** 2) * GRAVITY;
+        const hold = new Vec3(0, GRAVITY, 0).addScaledVector(nose, -GRAVITY * nose.y); // Square to the flight path
+        const turn = desired.clone().addScaledVector(nose, -desired.dot(nose));
+        if(turn.lengthSq() < 1e-12) turn.copy(this.up); // Dead astern: pull through wherever the lift points
+        turn.setLength(Math.min(nose.angleTo(desired), Math.PI / 2) * this.agility * speed);
+        const lift = hold.clone().addScaledVector(turn, turnShare(hold, turn, cap));
+        const wanted = lift.length();
+
+        // Roll toward the pull first; only the share of lift already pointing there is pulled
+        let pull = 0;
+        if(wanted > 1e-9) {
+            lift.multiplyScalar(1 / wanted);
+            this.roll(nose, lift, rollRate * dt);
+            pull = wanted / GRAVITY * Math.max(0, this.up.dot(lift));
+        }
+        this.stalled = speed < stallSpeed;
+        this.load = Math.min(pull, cap / GRAVITY);
+
+        // Thrust against drag along the nose, less what the pull costs; gravity acts throughout
+        const excess = thrust * GRAVITY * (throttle - (speed / this.topSpeed) ** 2);
+        const bleed = drag * GRAVITY * Math.max(0, this.load * this.load - 1);
+        velocity.addScaledVector(nose, (excess - bleed) * k);
+        velocity.addScaledVector(this.up, this.load * GRAVITY * k);
+        velocity.y -= GRAVITY * k;
+
+        const floor = stallSpeed * MIN_SPEED;
+        if(velocity.lengthSq() < floor * floor) velocity.setLength(floor);
+        this.square(velocity);
+    }
+
+    // Seconds to roll over and turn about at `speed`, pulling as hard as the wings and the
+    // G limit allow. Used to plan the trip home, so it errs on the slow side.
+    reverseTime(speed) {
+        const { stallSpeed, maxG, rollRate } = this.aero;
+        const cap = Math.min(maxG, (speed / stallSpeed) ** 2) * GRAVITY;
+        const pull = Math.min(cap, Math.PI / 2 * this.agility * speed);
+        return Math.PI / rollRate + Math.PI * speed / pull / 60;
+    }
+
+    // Steepest climb the engine holds at `throttle`, as the sine of the climb angle. Flown
+    // at the speed that gains height fastest, where drag takes a third of the thrust.
+    climbAngle(throttle = 1) {
+        return Math.min(1, 2 / 3 * this.aero.thrust * throttle);
+    }
+
+    // Height gained per step in that climb
+    climbRate(throttle = 1) {
+        return this.topSpeed * Math.sqrt(throttle / 3) * this.climbAngle(throttle);
+    }
+
+    // Flattens the unit vector `desired` to no steeper than the engine can hold, so a long
+    // climb home doesn't end in a stall. A target behind or nearly overhead is circled up
+    // to in a gentle turn, since reversing in a climb loops the jet over the top.
+    limitClimb(desired, velocity, throttle = 1) {
+        const max = this.climbAngle(throttle);
+        if(desired.y <= max) return desired;
+        const flat = new Vec3(desired.x, 0, desired.z);
+        const heading = new Vec3(velocity.x, 0, velocity.z).normalize();
+        if(flat.length() < OVERHEAD || flat.dot(heading) < 0) {
+            const side = new Vec3(-heading.z, 0, heading.x);
+            if(side.dot(flat) < 0) side.negate();
+            flat.copy(heading).add(side); // Half a right angle off the heading
+        }
+        if(flat.lengthSq() < 1e-12) flat.set(1, 0, 0);
+        flat.setLength(Math.sqrt(1 - max * max));
+        return desired.set(flat.x, max, flat.z);
+    }
+
+    // Rotates `up` about the nose toward `target`, by at most `maxAngle` radians
+    roll(nose, target, maxAngle) {
+        const step = Math.min(this.up.angleTo(target), maxAngle);
+        if(step < 1e-6) return;
+        const side = new Vec3().crossVectors(nose, this.up); // `up` a quarter roll on
+        const sign = side.dot(target) >= 0 ? 1 : -1;
+        this.up.multiplyScalar(Math.cos(step)).addScaledVector(side, sign * Math.sin(step));
+    }
+
+    // Keeps the lift vector square to the flight path as the nose moves
+    square(velocity) {
+        const nose = velocity.clone().normalize();
+        this.up.addScaledVector(nose, -this.up.dot(nose));
+        if(this.up.lengthSq() < 1e-6) this.up.copy(WORLD_UP).addScaledVector(nose, -nose.y); // Rolled onto the nose: wings level
+        if(this.up.lengthSq() < 1e-6) this.up.crossVectors(nose, new Vec3(1, 0, 0)); // Pointing straight up or down
+        this.up.normalize();
+    }
+}
@@ -0,0 +1,95 @@
+import { Vec3, Quat } from './math.js';
+
+// --- FORMATIONS (Slot offsets behind a flight lead, in the lead's frame) ---
+// +z is the direction of travel; offsets are rotated onto the real heading.
+
+export const FORMATIONS = ['V-SHAPE', 'WALL', 'ECHELON', 'LINE-ABREAST'];
+
+const FORWARD = new Vec3(0, 0, 1);
+
+// Offset of slot i out of `count`. WALL jitters altitude, so it draws from rng.
+export function formationOffset(formation, i, count, rng, out = new Vec3()) {
+    if(formation === 'V-SHAPE') {
+        out.set((i%2===0?1:-1)*(i*10), 0, -i*10);
+    } else if (formation === 'WALL') {
+        out.set((i-count/2)*20, (rng.next()-0.5)*20, 0);
+    } else if (formation === 'LINE-ABREAST') {
+        out.set((i%2===0?1:-1)*Math.ceil(i/2)*20, 0, 0);
+    } else { // ECHELON
+        out.set(i*15, i*5, -i*15);
+    }
+    return out;
+}
+
+// World positions for `count` slots around `center`, facing unit vector `heading`
+export function formationPositions(formation, center, heading, count, rng) {
+    const q = new Quat().setFromUnitVectors(FORWARD, heading);
+    const positions = [];
+    for(let i=0; i<count; i++) {
+        const offset = formationOffset(formation, i, count, rng).applyQuaternion(q);
+        positions.push(center.clone().add(offset));
+    }
+    return positions;
+}
+
+// --- FLIGHTS (Formations that hold together after spawn) ---
+// A flight is a leader and wingmen, each holding a slot in the leader's frame.
+// When the leader dies, or `canLead` says it can't lead right now (say it's
+// heading home), the next member that can takes over, the old lead drops to the
+// back and every slot is handed out again in member order.
+export class Flight {
+    constructor(id, members, formation, rng, canLead = () => true) {
+        this.id = id;
+        this.members = members.slice(); // Leader first
+        this.cruise = formation; // Formation flown when nothing is going on
+        this.formation = formation;
+        this.rng = rng;
+        this.canLead = canLead;
+        this.offsets = new Map(); // Member -> slot offset from the leader, leader's frame
+        this.assignSlots();
+    }
+
+    get leader() {
+        return this.members[0] || null;
+    }
+
+    // Drops dead members and hands the lead on if needed. Returns the new leader
+    // when the lead changed hands, otherwise null.
+    update() {
+        const before = this.leader;
+        const alive = this.members.filter(m => m.alive);
+        const lost = alive.length !== this.members.length;
+        this.members = alive;
+        if(this.leader && !this.canLead(this.leader)) {
+            const next = this.members.findIndex(m => this.canLead(m));
+            if(next > 0) this.members.push(...this.members.splice(0, next));
+        }
+        const leader = this.leader;
+        if(lost || leader !== before) this.assignSlots();
+        return leader !== before ? leader : null;
+    }
+
+    // Re-forms in another formation; returns false when already flying it
+    setFormation(formation) {
+        if(formation === this.formation) return false;
+        this.formation = formation;
+        this.assignSlots();
+        return true;
+    }
+
+    assignSlots() {
+        const count = this.members.length;
+        const lead = formationOffset(this.formation, 0, count, this.rng);
+        this.offsets = new Map(this.members.map((m, i) => [m, formationOffset(this.formation, i, count, this.rng).sub(lead)]));
+    }
+
+    // Where `member` should be right now, in world space. Slots turn with the leader's
+    // heading but not its climbs and dives, so the flight stays level.
+    slotPosition(member, out = new Vec3()) {
+        const leader = this.leader;
+        const heading = new Vec3(leader.velocity.x, 0, leader.velocity.z);
+        if(heading.lengthSq() < 1e-6) heading.copy(leader.velocity);
+        const q = new Quat().setFromUnitVectors(FORWARD, heading.normalize());
+        return out.copy(this.offsets.get(member)).applyQuaternion(q).add(leader.position);
+    }
+}
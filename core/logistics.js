@@ -0,0 +1,83 @@
+// --- LOGISTICS (Fuel, magazines and the rearm cycle) ---
+// Units leave base with a full tank and full magazines. Once every limited
+// magazine is empty (winchester) or the tank only just covers the trip home with
+// a margin to spare (bingo), they fly back to their team's base, sit there while
+// the ground crew refuels and rearms them, and then go back out. A tank or
+// magazine of 0 in the unit registry means unlimited.
+
+export const SORTIE = 'SORTIE';
+export const RTB = 'RTB'; // Returning to base
+export const REARMING = 'REARMING';
+
+// Fuel kept back on top of the trip home, as a share of it: detours round terrain,
+// a missed pass over the pad and speed lost in turns all stretch the trip
+const FUEL_MARGIN = 1;
+
+// A team's loadout for one unit class overrides the registry's tank and magazine
+// sizes: { fuel: seconds, magazines: { [weapon kind]: rounds } }
+export function loadout(unit, override = {}) {
+    const magazines = override.magazines || {};
+    return {
+        fuel: override.fuel !== undefined ? override.fuel : unit.mobility.fuel,
+        magazines: unit.weapons.map(w => magazines[w.kind] !== undefined ? magazines[w.kind] : w.magazine)
+    };
+}
+
+export class Stores {
+    constructor(unit, override) {
+        const { fuel, magazines } = loadout(unit, override);
+        this.fuelCapacity = fuel;
+        this.fuel = fuel;
+        this.magazines = magazines; // Rounds per weapon slot, 0 for unlimited
+        this.ammo = magazines.slice();
+        this.mode = SORTIE;
+        this.bingo = false; // Heading home because the tank is low
+    }
+
+    canFire(slot) {
+        return this.magazines[slot] === 0 || this.ammo[slot] >= 1;
+    }
+
+    expend(slot) {
+        if(this.magazines[slot] > 0) this.ammo[slot]--;
+    }
+
+    // Every limited magazine is dry; units with an unlimited weapon never run out
+    get winchester() {
+        return this.magazines.every((size, i) => size > 0 && this.ammo[i] < 1);
+    }
+
+    get outOfFuel() {
+        return this.fuelCapacity > 0 && this.fuel <= 0;
+    }
+
+    // Burns fuel for a step in the air and decides when to turn for home. `timeHome` is
+    // the seconds the unit needs to get back to base from where it is, turn included.
+    // Returns 'AMMO' or 'FUEL' on the step the unit goes RTB, otherwise null.
+    update(dt, timeHome) {
+        if(this.mode !== SORTIE) {
+            if(this.mode === RTB && this.fuelCapacity > 0) this.fuel = Math.max(0, this.fuel - dt);
+            return null;
+        }
+        if(this.fuelCapacity > 0) this.fuel = Math.max(0, this.fuel - dt);
+
+        let reason = null;
+        if(this.winchester) reason = 'AMMO';
+        else if(this.fuelCapacity > 0 && this.fuel <= timeHome * (1 + FUEL_MARGIN)) reason = 'FUEL';
+        if(reason) this.mode = RTB;
+        this.bingo = reason === 'FUEL';
+        return reason;
+    }
+
+    // On the pad: refills a full tank and full magazines in `rearmTime` seconds.
+    // Returns true on the step the unit is ready to launch again.
+    replenish(dt, rearmTime) {
+        this.mode = REARMING;
+        const share = rearmTime > 0 ? dt / rearmTime : 1;
+        this.fuel = Math.min(this.fuelCapacity, this.fuel + this.fuelCapacity * share);
+        this.ammo = this.ammo.map((n, i) => Math.min(this.magazines[i], n + this.magazines[i] * share));
+        if(this.fuel < this.fuelCapacity || this.ammo.some((n, i) => n < this.magazines[i])) return false;
+        this.mode = SORTIE;
+        return true;
+    }
+}
@@ -0,0 +1,36 @@
+// --- FIXED-TIMESTEP LOOP ---
+// Physics and combat always advance in equal `step` slices, however long the
+// rendered frame was. Leftover time is exposed as `alpha` so the render layer
+// can interpolate between the previous and current sim state.
+
+export class FixedStepLoop {
+    constructor(step = 1 / 60, maxSteps = 8) {
+        this.step = step;
+        this.maxSteps = maxSteps; // Spiral-of-death guard after a long hitch
+        this.accumulator = 0;
+        this.alpha = 0;
+        this.steps = 0; // Total steps taken, doubles as the sim tick counter
+    }
+
+    // Feed scaled frame time, run `stepFn(step)` zero or more times
+    advance(dt, stepFn) {
+        this.accumulator += dt;
+        let n = 0;
+        while(this.accumulator >= this.step && n < this.maxSteps) {
+            stepFn(this.step);
+            this.accumulator -= this.step;
+            this.steps++;
+            n++;
+        }
+        // Drop the backlog rather than fast-forwarding through it on later frames
+        if(n === this.maxSteps && this.accumulator >= this.step) this.accumulator = 0;
+        this.alpha = this.accumulator / this.step;
+        return n;
+    }
+
+    reset() {
+        this.accumulator = 0;
+        this.alpha = 0;
+        this.steps = 0;
+    }
+}
@@ -0,0 +1,195 @@
+import { Vec3 } from './math.js';
+
+// --- MATCH (Rounds, victory rules and best-of-N series) ---
+// A match runs a battle through its phases: SETUP, a short countdown with the
+// forces deployed but frozen; LIVE, the fight itself; SUDDEN_DEATH, when the time
+// limit runs out with the lead tied; and ENDED, with the round called. Rules:
+//
+//   annihilation   the last team standing wins, once at least two have fielded units
+//   scoreLimit     the first team to this score wins (0 for none)
+//   timeLimit      seconds of play, after which the leader on score wins (0 for none)
+//   suddenDeath    seconds of sudden death after a tied time limit: the first team to
+//                  pull ahead wins, and it's a draw if none has when it runs out (0 for
+//                  a straight draw)
+//   objective      { position: [x, y, z], radius, holdTime }: a team wins once it has held
+//                  the zone, with no enemy inside, for holdTime seconds in all
+//   bestOf         rounds in the series; the first team to win a majority of them takes it
+//
+// A scenario's director can also call the round: its 'victory' event ends it.
+// The match only reads the battle through a small `game` handle, so any variant can
+// take part:
+//
+//   { events, teams, seed, counts(), scores(), units(), restart(seed) }
+//
+// counts() and scores() are keyed by team; units() lists live units as { team, position },
+// and is only needed for an objective; restart(seed) rebuilds the battle in place.
+
+export const SETUP = 'SETUP';
+export const LIVE = 'LIVE';
+export const SUDDEN_DEATH = 'SUDDEN_DEATH';
+export const ENDED = 'ENDED';
+
+export const DEFAULT_RULES = {
+    setupTime: 3,
+    annihilation: true,
+    scoreLimit: 0,
+    timeLimit: 0,
+    suddenDeath: 60,
+    objective: null,
+    bestOf: 1
+};
+
+// Every rule off, for rounds a scenario's director calls
+export const DIRECTED = { annihilation: false, scoreLimit: 0, timeLimit: 0, objective: null };
+
+// The one of `teams` with the highest score, or null on a tie
+export function leader(teams, scores) {
+    let best = null, bestScore = -Infinity, tied = false;
+    teams.forEach(team => {
+        if(scores[team] > bestScore) { best = team; bestScore = scores[team]; tied = false; }
+        else if(scores[team] === bestScore) tied = true;
+    });
+    return tied ? null : best;
+}
+
+export class Match {
+    constructor(game, rules = {}) {
+        this.game = game;
+        this.rules = { ...DEFAULT_RULES, ...rules };
+        this.teams = game.teams;
+        this.firstSeed = game.seed;
+        this.zone = this.rules.objective ? new Vec3(...this.rules.objective.position) : null;
+        game.events.on('victory', ({ winner, reason }) => { if(this.running) this.end(winner, reason); });
+        this.startSeries();
+    }
+
+    get running() {
+        return this.phase === LIVE || this.phase === SUDDEN_DEATH;
+    }
+
+    // Rounds a team needs to take the series
+    get winsNeeded() {
+        return Math.floor(this.rules.bestOf / 2) + 1;
+    }
+
+    get seriesOver() {
+        return this.seriesWinner !== null;
+    }
+
+    startSeries() {
+        this.wins = Object.fromEntries(this.teams.map(team => [team, 0]));
+        this.results = []; // One per finished round
+        this.seriesWinner = null;
+        this.round = 1;
+        this.phase = null;
+        this.beginRound();
+    }
+
+    // Clears the round's clocks and counts down to the start
+    beginRound() {
+        this.time = 0; // Seconds of play this round
+        this.countdown = this.rules.setupTime;
+        this.suddenDeathTime = 0;
+        this.fielded = new Set(); // Teams that have had units up this round
+        this.held = Object.fromEntries(this.teams.map(team => [team, 0])); // Seconds each has held the objective
+        this.holder = null;
+        this.setPhase(SETUP);
+    }
+
+    // After a round ends: plays the next one, or starts a new series once this one is decided.
+    // Every round gets its own seed, so a series isn't the same battle over and over.
+    nextRound() {
+        if(this.phase !== ENDED) return;
+        if(this.seriesOver) return this.restart();
+        this.round++;
+        this.game.restart((this.firstSeed + this.round - 1) >>> 0);
+        this.beginRound();
+    }
+
+    // Starts the series over on the seed it opened with
+    restart() {
+        this.game.restart(this.firstSeed);
+        this.startSeries();
+    }
+
+    setPhase(phase) {
+        if(phase === this.phase) return;
+        this.phase = phase;
+        this.game.events.emit('phase', { phase, match: this });
+    }
+
+    // Called once per fixed step, before the battle takes it
+    update(dt) {
+        if(this.phase === SETUP) {
+            this.countdown -= dt;
+            if(this.countdown <= 0) this.setPhase(LIVE);
+            return;
+        }
+        if(!this.running) return;
+        this.time += dt;
+        if(this.phase === SUDDEN_DEATH) this.suddenDeathTime += dt;
+        this.checkRules(dt);
+    }
+
+    checkRules(dt) {
+        const rules = this.rules;
+        const counts = this.game.counts();
+        const scores = this.game.scores();
+
+        if(rules.annihilation) {
+            this.teams.forEach(team => { if(counts[team] > 0) this.fielded.add(team); });
+            const standing = [...this.fielded].filter(team => counts[team] > 0);
+            if(this.fielded.size >= 2 && standing.length <= 1) return this.end(standing.length ? standing[0] : null, 'annihilation');
+        }
+        if(rules.scoreLimit > 0) {
+            const reached = this.teams.find(team => scores[team] >= rules.scoreLimit);
+            if(reached) return this.end(reached, 'score');
+        }
+        if(this.zone) {
+            this.holder = this.zoneHolder();
+            if(this.holder) {
+                this.held[this.holder] += dt;
+                if(this.held[this.holder] >= rules.objective.holdTime) return this.end(this.holder, 'objective');
+            }
+        }
+        if(this.phase === SUDDEN_DEATH) {
+            const winner = leader(this.teams, scores);
+            if(winner) return this.end(winner, 'sudden death');
+            if(rules.suddenDeath > 0 && this.suddenDeathTime >= rules.suddenDeath) return this.end(null, 'sudden death');
+        } else if(rules.timeLimit > 0 && this.time >= rules.timeLimit) {
+            const winner = leader(this.teams, scores);
+            if(winner) return this.end(winner, 'time');
+            if(rules.suddenDeath > 0) this.setPhase(SUDDEN_DEATH);
+            else this.end(null, 'time');
+        }
+    }
+
+    // The only team with units inside the objective, or null when it's empty or contested
+    zoneHolder() {
+        const radius = this.rules.objective.radius;
+        let holder = null;
+        for(const unit of this.game.units()) {
+            if(unit.position.distanceToSquared(this.zone) > radius * radius) continue;
+            if(holder && holder !== unit.team) return null;
+            holder = unit.team;
+        }
+        return holder;
+    }
+
+    // Calls the round for `winner` (null for a draw) and settles the series once a team
+    // has won enough rounds. Emits 'roundEnd' with the round's result.
+    end(winner, reason) {
+        if(this.phase === ENDED) return;
+        if(winner) this.wins[winner]++;
+        if(winner && this.wins[winner] >= this.winsNeeded) this.seriesWinner = winner;
+        const result = {
+            round: this.round, winner, reason, time: this.time,
+            scores: { ...this.game.scores() }, survivors: { ...this.game.counts() },
+            wins: { ...this.wins }, seriesWinner: this.seriesWinner
+        };
+        this.results.push(result);
+        this.setPhase(ENDED);
+        this.game.events.emit('roundEnd', result);
+        return result;
+    }
+}
@@ -0,0 +1,106 @@
+// --- CORE MATH (Dependency-free subset of the THREE.Vector3 API) ---
+// The simulation core must run in Node without Three.js, so it carries its own
+// vector type. Method names mirror THREE so render adapters can `copy()` from it.
+
+export class Vec3 {
+    constructor(x = 0, y = 0, z = 0) {
+        this.x = x; this.y = y; this.z = z;
+    }
+
+    set(x, y, z) { this.x = x; this.y = y; this.z = z; return this; }
+    setScalar(s) { this.x = s; this.y = s; this.z = s; return this; }
+    copy(v) { this.x = v.x; this.y = v.y; this.z = v.z; return this; }
+    clone() { return new Vec3(this.x, this.y, this.z); }
+
+    add(v) { this.x += v.x; this.y += v.y; this.z += v.z; return this; }
+    sub(v) { this.x -= v.x; this.y -= v.y; this.z -= v.z; return this; }
+    addVectors(a, b) { this.x = a.x + b.x; this.y = a.y + b.y; this.z = a.z + b.z; return this; }
+    subVectors(a, b) { this.x = a.x - b.x; this.y = a.y - b.y; this.z = a.z - b.z; return this; }
+    addScaledVector(v, s) { this.x += v.x * s; this.y += v.y * s; this.z += v.z * s; return this; }
+    multiplyScalar(s) { this.x *= s; this.y *= s; this.z *= s; return this; }
+    negate() { this.x = -this.x; this.y = -this.y; this.z = -this.z; return this; }
+
+    dot(v) { return this.x * v.x + this.y * v.y + this.z * v.z; }
+    cross(v) { return this.crossVectors(this, v); }
+    crossVectors(a, b) {
+        const ax = a.x, ay = a.y, az = a.z, bx = b.x, by = b.y, bz = b.z;
+        this.x = ay * bz - az * by;
+        this.y = az * bx - ax * bz;
+        this.z = ax * by - ay * bx;
+        return this;
+    }
+
+    lengthSq() { return this.x * this.x + this.y * this.y + this.z * this.z; }
+    length() { return Math.sqrt(this.lengthSq()); }
+    normalize() { return this.multiplyScalar(1 / (this.length() || 1)); }
+    setLength(l) { return this.normalize().multiplyScalar(l); }
+
+    lerpVectors(a, b, t) {
+        this.x = a.x + (b.x - a.x) * t;
+        this.y = a.y + (b.y - a.y) * t;
+        this.z = a.z + (b.z - a.z) * t;
+        return this;
+    }
+
+    lerp(v, t) {
+        this.x += (v.x - this.x) * t;
+        this.y += (v.y - this.y) * t;
+        this.z += (v.z - this.z) * t;
+        return this;
+    }
+
+    distanceToSquared(v) {
+        const dx = this.x - v.x, dy = this.y - v.y, dz = this.z - v.z;
+        return dx * dx + dy * dy + dz * dz;
+    }
+    distanceTo(v) { return Math.sqrt(this.distanceToSquared(v)); }
+
+    angleTo(v) {
+        const denominator = Math.sqrt(this.lengthSq() * v.lengthSq());
+        if(denominator === 0) return Math.PI / 2;
+        return Math.acos(clamp(this.dot(v) / denominator, -1, 1));
+    }
+
+    applyQuaternion(q) {
+        const vx = this.x, vy = this.y, vz = this.z;
+        const qx = q.x, qy = q.y, qz = q.z, qw = q.w;
+        const tx = 2 * (qy * vz - qz * vy);
+        const ty = 2 * (qz * vx - qx * vz);
+        const tz = 2 * (qx * vy - qy * vx);
+        this.x = vx + qw * tx + qy * tz - qz * ty;
+        this.y = vy + qw * ty + qz * tx - qx * tz;
+        this.z = vz + qw * tz + qx * ty - qy * tx;
+        return this;
+    }
+
+    toArray() { return [this.x, this.y, this.z]; }
+}
+
+export class Quat {
+    constructor(x = 0, y = 0, z = 0, w = 1) {
+        this.x = x; this.y = y; this.z = z; this.w = w;
+    }
+
+    // Rotation taking unit vector `from` onto unit vector `to` (same as THREE)
+    setFromUnitVectors(from, to) {
+        let r = from.dot(to) + 1;
+        if(r < Number.EPSILON) {
+            r = 0;
+            if(Math.abs(from.x) > Math.abs(from.z)) {
+                this.x = -from.y; this.y = from.x; this.z = 0; this.w = r;
+            } else {
+                this.x = 0; this.y = -from.z; this.z = from.y; this.w = r;
+            }
+        } else {
+            this.x = from.y * to.z - from.z * to.y;
+            this.y = from.z * to.x - from.x * to.z;
+            this.z = from.x * to.y - from.y * to.x;
+            this.w = r;
+        }
+        const l = Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z + this.w * this.w) || 1;
+        this.x /= l; this.y /= l; this.z /= l; this.w /= l;
+        return this;
+    }
+}
+
+export const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
@@ -0,0 +1,1177 @@
+import { Vec3 } from './math.js';
+import { EventBus } from './events.js';
+import { Random } from './random.js';
+import { SpatialGrid } from './spatial.js';
+import { formationPositions } from './formations.js';
+import { unitRoster } from './units.js';
+import { Stores, SORTIE, RTB, REARMING } from './logistics.js';
+import { Airframe } from './flight.js';
+import { StateMachine, makeDoctrine, offNose, breakTurn } from './ai.js';
+import { resolveController } from './controllers.js';
+import { Condition, weaponDamage, SUBSYSTEMS } from './damage.js';
+import { CombatLog } from './combatlog.js';
+import { ContactPicture, Thermocline, PING_REACH, sweep, listen, ping, detectionChance, radiatedNoise } from './sensors.js';
+
+// --- CONFIGURATION ---
+export const CONFIG = {
+    worldSize: 1200,
+    seaLevel: 0,
+    baseSpeed: 1.0, 
+    slowMoSpeed: 0.1,
+    fixedStep: 1 / 60, // Seconds of sim time per physics step
+    maxFrameDt: 0.25, // Longest frame fed to the loop, so a stalled tab doesn't jump the battle
+    maxAgents: 80,
+    gridCellSize: 100, // Broad-phase cell edge, roughly the shortest sensor range / 2.5
+    hullRadius: 3, // Collision radius of AIR and SEA agents against terrain
+    lookAhead: 1.0, // Seconds of travel scanned ahead for terrain to steer around
+    minAltitude: 60, // Jets pull up when their sink rate would take them below this
+    crashDamage: 40, // Damage from a head-on hit at cruise speed; glancing blows scale down
+    friendlyFire: false, // Default for battles that don't choose; projectiles spare allies when off
+    assistWindow: 10, // Seconds a hit still counts toward a kill, see core/combatlog.js
+    missileDrag: 0.985, // Share of speed a missile keeps per step once its motor burns out
+    missileWarning: 300, // Range at which a jet notices a missile tracking it and breaks
+    rearmTime: 10, // Seconds on base to refuel and rearm from empty
+    baseRadius: 40, // How close to home counts as landed, about a jet's turning circle
+    repairTime: 15, // Seconds at home for a retreating unit to repair from nothing
+    threatMemory: 0.5, // Seconds a shot at a unit keeps it feeling fired upon
+    critical: { chance: 0.1, crippledThrottle: 0.6, silenceTime: 8 }, // Chance a weapon hit knocks out a subsystem, throttle left with a hit engine, seconds hit weapons stay silent
+    fire: { damage: 4, time: 8, tick: 0.5 }, // A fire's damage per second, how long it burns, and seconds between its damage ticks
+    scanInterval: 0.25, // Seconds between a unit's sensor sweeps
+    trackTime: 1.5, // Seconds a contact stays engageable after it was last seen
+    contactMemory: 15, // Seconds a lost contact stays on its team's picture, at its last-known position
+    periscopeDepth: 20, // Subs shallower than this see and are seen on radar, as if surfaced; deeper, only sonar finds them
+    patrolDepth: 15, // Subs hunt just under the surface, where their radar works
+    thermocline: { top: -60, bottom: -120, loss: 0.03 }, // Band that bends sound; `loss` is the share that gets through
+    pingInterval: 4, // Fewest seconds between a sub's active sonar pings
+    creepThrottle: 0.5, // Share of top speed a sub sneaks home at, to stay quiet
+    sonobuoy: { range: 300, depth: 10, life: 60, spacing: 250, interval: 8 }, // Listening range, hydrophone depth, seconds afloat, least gap between a team's buoys, and mean seconds between patrol drops
+    units: unitRoster(['FIGHTER', 'SUBMARINE', 'TURRET']), // Stats live in core/units.js
+    match: { timeLimit: 300, bestOf: 3 }, // Victory rules for the browser sim's rounds, see core/match.js
+    // `base` is where a team's units go to rearm: the nearest obstacle of that type to where
+    // they spawned, or `position` when there is none (or no type). `loadout` overrides the
+    // registry's fuel and magazines per class, e.g. { FIGHTER: { magazines: { MISSILE: 4 } } }.
+    // `doctrine` tunes the AI state machine (see core/ai.js), e.g. { params: { retreatHp: 0.5 } }.
+    // `controller` names the pilot brain (see core/controllers.js); 'fsm' is the built-in one.
+    teams: {
+        CYAN:   { unit: 'FIGHTER',   color: 0x00f3ff, base: { position: [0, 200, -450] }, loadout: { FIGHTER: { magazines: { MISSILE: 4, BOMB: 4 } } }, doctrine: {}, controller: 'fsm' },
+        MAGENTA:{ unit: 'SUBMARINE', color: 0xff00ff, base: { type: 'SEA_OBSTACLE', position: [0, -150, 450] }, loadout: {}, doctrine: { params: { retreatHp: 0.2, evadeTime: 4 } }, controller: 'fsm' },
+        LIME:   { unit: 'TURRET',    color: 0xccff00, base: { type: 'LAND_OBSTACLE', position: [0, 10, 0] }, loadout: {}, doctrine: {}, controller: 'fsm' }
+    }
+};
+
+// A unit class fielded in a team's colours; `unit` defaults to the team's own class
+export function unitStats(teamKey, unit = CONFIG.teams[teamKey].unit) {
+    return { ...CONFIG.units[unit], color: CONFIG.teams[teamKey].color };
+}
+
+// --- ENVIRONMENT (Obstacle data only, meshes live in the render layer) ---
+export class Environment {
+    // `layout` is a scenario's obstacle list; without one the terrain comes from the seed
+    constructor(rng, layout = null) {
+        this.rng = rng;
+        this.obstacles = []; // Collision objects
+        if(layout) this.placeStructures(layout);
+        else this.generateStructures();
+    }
+
+    placeStructures(layout) {
+        layout.forEach(o => {
+            const position = new Vec3(...o.position);
+            if(o.type === 'LAND_OBSTACLE') {
+                const [w, h, d] = o.size;
+                this.obstacles.push({ type: o.type, position, size: { w, h, d } });
+            } else {
+                this.obstacles.push({ type: o.type, position, radius: o.radius });
+            }
+        });
+    }
+
+    // Deepest obstacle a sphere at `p` of radius `r` overlaps, as { obstacle, normal, depth },
+    // where moving `p` along `normal` by `depth` just clears the surface. Null when clear.
+    contact(p, r) {
+        let best = null;
+        for(const o of this.obstacles) {
+            const normal = new Vec3();
+            let depth;
+            if(o.type === 'LAND_OBSTACLE') {
+                const half = [o.size.w / 2, o.size.h / 2, o.size.d / 2];
+                const local = [p.x - o.position.x, p.y - o.position.y, p.z - o.position.z];
+                const closest = local.map((v, i) => Math.max(-half[i], Math.min(half[i], v)));
+                normal.set(local[0] - closest[0], local[1] - closest[1], local[2] - closest[2]);
+                const dist = normal.length();
+                if(dist > 0) {
+                    depth = r - dist;
+                    normal.multiplyScalar(1 / dist);
+                } else {
+                    // Centre inside the box: leave through the nearest face
+                    let axis = 0;
+                    const gap = local.map((v, i) => half[i] - Math.abs(v));
+                    if(gap[1] < gap[axis]) axis = 1;
+                    if(gap[2] < gap[axis]) axis = 2;
+                    const out = [0, 0, 0];
+                    out[axis] = local[axis] < 0 ? -1 : 1;
+                    normal.set(...out);
+                    depth = gap[axis] + r;
+                }
+            } else {
+                normal.subVectors(p, o.position);
+                const dist = normal.length();
+                depth = o.radius + r - dist;
+                if(dist > 0) normal.multiplyScalar(1 / dist);
+                else normal.set(0, 1, 0);
+            }
+            if(depth > 0 && (!best || depth > best.depth)) best = { obstacle: o, normal, depth };
+        }
+        return best;
+    }
+
+    // Whether terrain, or the sea, blocks radar on the straight line from `a` to `b`. Radar
+    // doesn't reach past periscope depth; an obstacle either end sits in (a turret on its own
+    // island) doesn't count.
+    blocksSight(a, b) {
+        const submerged = p => p.y < CONFIG.seaLevel - CONFIG.periscopeDepth;
+        if(submerged(a) || submerged(b)) return true;
+        const dir = new Vec3().subVectors(b, a);
+        const length = dir.length();
+        if(length === 0) return false;
+        dir.multiplyScalar(1 / length);
+        const back = dir.clone().negate();
+        const cast = (o, origin, d) => o.type === 'LAND_OBSTACLE'
+            ? rayBox(origin, d, o.position, o.size, 0)
+            : raySphere(origin, d, o.position, o.radius);
+        for(const o of this.obstacles) {
+            const hit = cast(o, a, dir);
+            if(!hit || hit.distance === 0 || hit.distance > length) continue;
+            const from = cast(o, b, back);
+            if(from && from.distance === 0) continue;
+            return true;
+        }
+        return false;
+    }
+
+    // First obstacle hit travelling `length` along unit vector `dir` from `origin`, with the
+    // obstacles grown by `margin`. Returns { obstacle, distance, normal } or null.
+    raycast(origin, dir, length, margin = 0) {
+        let best = null;
+        for(const o of this.obstacles) {
+            const hit = o.type === 'LAND_OBSTACLE'
+                ? rayBox(origin, dir, o.position, o.size, margin)
+                : raySphere(origin, dir, o.position, o.radius + margin);
+            if(hit && hit.distance <= length && (!best || hit.distance < best.distance)) {
+                best = { obstacle: o, distance: hit.distance, normal: hit.normal };
+            }
+        }
+        return best;
+    }
+
+    generateStructures() {
+        const randomRange = (min, max) => this.rng.range(min, max);
+
+        // A. SURFACE ISLANDS (Blocks)
+        for(let i=0; i<8; i++) {
+            const w = randomRange(40, 100);
+            const h = randomRange(50, 150);
+            const d = randomRange(40, 100);
+            const position = new Vec3(randomRange(-500, 500), h/2 - 20, randomRange(-500, 500));
+            this.obstacles.push({ type: 'LAND_OBSTACLE', position, size: { w, h, d } });
+        }
+
+        // B. DEEP SEA LABS (Spheres)
+        for(let i=0; i<6; i++) {
+            const radius = randomRange(30, 60);
+            const position = new Vec3(randomRange(-500, 500), randomRange(-250, -50), randomRange(-500, 500));
+            this.obstacles.push({ type: 'SEA_OBSTACLE', position, radius });
+        }
+    }
+}
+
+// Slab test against an axis-aligned box; starting inside counts as a hit at 0
+function rayBox(origin, dir, center, size, margin) {
+    const axes = ['x', 'y', 'z'];
+    const half = { x: size.w / 2 + margin, y: size.h / 2 + margin, z: size.d / 2 + margin };
+    let near = -Infinity, far = Infinity, nearAxis = null;
+    for(const a of axes) {
+        const lo = center[a] - half[a] - origin[a];
+        const hi = center[a] + half[a] - origin[a];
+        if(dir[a] === 0) {
+            if(lo > 0 || hi < 0) return null;
+            continue;
+        }
+        let t1 = lo / dir[a], t2 = hi / dir[a];
+        if(t1 > t2) [t1, t2] = [t2, t1];
+        if(t1 > near) { near = t1; nearAxis = a; }
+        far = Math.min(far, t2);
+        if(near > far || far < 0) return null;
+    }
+    const normal = new Vec3();
+    if(near < 0 || !nearAxis) return { distance: 0, normal: normal.copy(dir).negate() };
+    normal[nearAxis] = dir[nearAxis] > 0 ? -1 : 1;
+    return { distance: near, normal };
+}
+
+function raySphere(origin, dir, center, radius) {
+    const offset = new Vec3().subVectors(origin, center);
+    const b = offset.dot(dir);
+    const c = offset.lengthSq() - radius * radius;
+    if(c <= 0) return { distance: 0, normal: offset.normalize() };
+    const disc = b * b - c;
+    if(b > 0 || disc < 0) return null;
+    const distance = -b - Math.sqrt(disc);
+    return { distance, normal: offset.addScaledVector(dir, distance).normalize() };
+}
+
+// --- PROJECTILE SYSTEM (Lasers, Bombs, Torpedoes, Missiles) ---
+// Projectiles hit whichever unit they pass first, not just the one aimed at.
+// Every hit carries the projectile as its source, naming the shooter and team.
+export class Projectile {
+    constructor(battle, shooter, target, weapon) {
+        this.battle = battle;
+        this.id = battle.nextId++;
+        this.shooter = shooter;
+        this.team = shooter.team;
+        this.pos = shooter.position.clone();
+        this.prevPos = this.pos.clone(); // For render interpolation
+        this.target = target;
+        this.type = weapon.kind; // 'LASER', 'BOMB', 'TORPEDO'
+        this.damage = weapon.damage;
+        this.blast = weapon.blast;
+        this.fuse = weapon.fuse;
+        this.guidance = weapon.guidance; // Missiles only
+        this.locked = !!this.guidance; // Seeker still tracking `target`
+        this.age = 0;
+        this.active = true;
+        this.color = shooter.stats.color;
+
+        // Physics Setup
+        const start = this.pos;
+        if(this.type === 'BOMB') this.vel = new Vec3(0, -2, 0); // Gravity
+        else if(this.type === 'MISSILE') {
+            // Leaves the rail at the launcher's speed and heading, then the motor takes over
+            this.vel = shooter.velocity.clone();
+            if(this.vel.lengthSq() === 0) this.vel.subVectors(target.position, start).setLength(1);
+        }
+        else if(this.type === 'TORPEDO') this.vel = target.position.clone().sub(start).normalize().multiplyScalar(1.5);
+        else this.vel = target.position.clone().sub(start).normalize().multiplyScalar(8); // Laser is fast
+    }
+
+    update(dt) {
+        if(!this.active) return;
+        this.prevPos.copy(this.pos);
+        this.age += dt;
+
+        // Logic per type
+        if(this.type === 'BOMB') {
+            this.vel.y -= 0.1 * dt * 60; // Gravity accel
+        } else if (this.type === 'TORPEDO') {
+            // Homing logic (slow turn)
+            if(this.target && this.target.alive) {
+                const ideal = this.target.position.clone().sub(this.pos).normalize().multiplyScalar(1.5);
+                this.vel.lerp(ideal, 0.05);
+            }
+        } else if (this.type === 'MISSILE') {
+            if(this.age > this.guidance.life) {
+                this.detonate(); // Out of fuel: self-destruct
+                return;
+            }
+            this.guide(dt);
+        }
+
+        // Sweep this step's path so fast lasers can't tunnel through units or terrain
+        const step = this.vel.clone().multiplyScalar(dt * 60);
+        const length = step.length();
+        if(length > 0) {
+            const dir = step.clone().multiplyScalar(1 / length);
+            const wall = this.battle.env.raycast(this.pos, dir, length);
+            const reach = wall ? wall.distance : length;
+
+            // UNIT CHECK (First unit along the path, ahead of any terrain)
+            const hit = this.sweepUnits(dir, reach);
+            if(hit) {
+                this.pos.addScaledVector(dir, hit.distance);
+                hit.agent.takeDamage(this.damage, this.type, this); // Hit!
+                this.burst(hit.agent);
+                return;
+            }
+
+            // TERRAIN CHECK
+            if(wall) {
+                this.pos.addScaledVector(dir, reach);
+                this.detonate();
+                return;
+            }
+        }
+        this.pos.add(step);
+
+        // SPLASH CHECK (Bombs burst on the water surface)
+        if(this.type === 'BOMB' && this.pos.y <= CONFIG.seaLevel) {
+            this.pos.y = CONFIG.seaLevel;
+            this.battle.events.emit('splash', { position: this.pos.clone() });
+            this.burst(null);
+            return;
+        }
+
+        // Timeout distance
+        if(this.pos.length() > CONFIG.worldSize) this.kill();
+    }
+
+    // Proportional navigation: accelerate across the line of sight at N x closing speed x
+    // its turn rate, capped by the G limit. The seeker drops lock for good once the target
+    // dies or leaves its cone, after which the missile flies on unguided.
+    guide(dt) {
+        const g = this.guidance;
+        const k = dt * 60;
+        const t = this.target;
+        if(this.locked && (!t.alive || !this.inSeeker(t))) this.locked = false;
+
+        let speed = this.vel.length();
+        if(this.locked) {
+            const los = t.position.clone().sub(this.pos);
+            const rangeSq = los.lengthSq();
+            const rel = t.velocity.clone().sub(this.vel);
+            const losRate = new Vec3().crossVectors(los, rel).multiplyScalar(1 / rangeSq); // rad per step
+            const closing = -los.dot(rel) / Math.sqrt(rangeSq);
+            const accel = new Vec3().crossVectors(losRate, los.normalize()).multiplyScalar(g.navConstant * closing);
+
+            // Steering only; the motor alone sets speed
+            const heading = this.vel.clone().multiplyScalar(1 / speed);
+            accel.addScaledVector(heading, -accel.dot(heading));
+            const maxAccel = g.maxTurn / 60 * g.speed;
+            if(accel.lengthSq() > maxAccel * maxAccel) accel.setLength(maxAccel);
+            this.vel.addScaledVector(accel, k);
+        }
+
+        // Spool up to top speed while the motor burns, then bleed speed to drag
+        if(this.age < g.burn) speed += (g.speed - speed) * (1 - Math.pow(0.9, k));
+        else speed *= Math.pow(CONFIG.missileDrag, k);
+        this.vel.setLength(speed);
+    }
+
+    inSeeker(agent) {
+        const los = agent.position.clone().sub(this.pos);
+        return this.vel.angleTo(los) <= this.guidance.seeker * Math.PI / 180;
+    }
+
+    // Whether this projectile may hurt `agent` (its own shooter never, allies only with friendly fire)
+    canHit(agent) {
+        return agent.alive && agent !== this.shooter && (this.battle.friendlyFire || agent.team !== this.team);
+    }
+
+    // Nearest unit within the fuse radius of the path `dir` * `reach` ahead, as { agent, distance }
+    sweepUnits(dir, reach) {
+        const r = this.fuse;
+        const half = reach / 2;
+        const mid = this.pos.clone().addScaledVector(dir, half);
+        let best = null;
+        this.battle.grid.forEachInRadius(mid.x, mid.y, mid.z, half + r, agent => {
+            if(!this.canHit(agent)) return;
+            // Closest approach of the segment to the unit
+            const rel = agent.position.clone().sub(this.pos);
+            const along = Math.max(0, Math.min(reach, rel.dot(dir)));
+            if(rel.addScaledVector(dir, -along).lengthSq() > r * r) return;
+            if(!best || along < best.distance) best = { agent, distance: along };
+        });
+        return best;
+    }
+
+    // Area damage around the detonation point, falling off to nothing at the blast edge.
+    // `direct` already took the full hit.
+    burst(direct) {
+        if(this.blast > 0) {
+            const r = this.blast;
+            this.battle.grid.forEachInRadius(this.pos.x, this.pos.y, this.pos.z, r, agent => {
+                if(agent === direct || !this.canHit(agent)) return;
+                const dist = agent.position.distanceTo(this.pos);
+                if(dist < r) agent.takeDamage(this.damage * (1 - dist / r), this.type, this);
+            });
+        }
+        this.kill();
+    }
+
+    // Blows up against terrain; only a blast can reach units from there
+    detonate() {
+        this.battle.events.emit('impact', { position: this.pos.clone(), color: this.color, type: this.type });
+        this.burst(null);
+    }
+
+    kill() {
+        if(!this.active) return;
+        this.active = false;
+        this.battle.events.emit('projectileRemoved', this);
+    }
+}
+
+// --- SONOBUOYS (Hydrophones dropped by jets, listening for subs) ---
+// A buoy floats where it was dropped with its hydrophone hung above the thermocline, and
+// reports what it hears to its team's picture until it scuttles itself.
+export class Sonobuoy {
+    constructor(battle, team, position) {
+        this.battle = battle;
+        this.id = battle.nextId++;
+        this.team = team;
+        this.position = position.clone();
+        this.expires = battle.time + CONFIG.sonobuoy.life;
+        this.scanTimer = 0;
+        this.active = true;
+    }
+
+    update(dt) {
+        const battle = this.battle;
+        if(battle.time >= this.expires) {
+            this.active = false;
+            battle.events.emit('sonobuoyRemoved', this);
+            return;
+        }
+        this.scanTimer -= dt;
+        if(this.scanTimer > 0) return;
+        this.scanTimer += CONFIG.scanInterval;
+        listen(this.position, this.team, CONFIG.sonobuoy.range, battle.sonarContext(this.team));
+    }
+}
+
+const UP = new Vec3(0, 1, 0);
+
+// --- AGENT CLASS (Polymorphic-ish) ---
+export class Agent {
+    // options.unit picks a class other than the team's own; options.position skips the random spawn
+    constructor(teamKey, battle, options = {}) {
+        this.battle = battle;
+        this.id = battle.nextId++;
+        this.team = teamKey;
+        this.unit = options.unit || CONFIG.teams[teamKey].unit;
+        this.stats = unitStats(teamKey, this.unit);
+        this.hp = this.stats.durability.hp;
+        this.stores = new Stores(this.stats, battle.loadouts[teamKey][this.unit]);
+        this.alive = true;
+        this.target = null;
+        this.ai = new StateMachine(battle.doctrines[teamKey]);
+        this.threat = null; // Missile or shooter being evaded
+        this.firedOnBy = null; // Last enemy to shoot at this unit, and when
+        this.firedOnAt = -Infinity;
+        this.threatAt = -Infinity;
+        this.memory = {}; // Notes kept by a custom controller between steps
+        this.label = null; // State a custom controller last reported
+        this.seen = new Map(); // Contacts in that last observation, by id
+        this.scanTimer = (this.id % 4) / 4 * CONFIG.scanInterval; // Staggered, so sweeps spread over steps
+        this.pingTimer = 0; // Seconds until the sonar can ping again
+        this.buoys = this.stats.sensors.sonobuoys; // Sonobuoys left this sortie
+        this.condition = new Condition(); // Subsystems knocked out by critical hits, see core/damage.js
+        const randomRange = (min, max) => battle.rng.range(min, max);
+        
+        // --- DOMAIN LOGIC ---
+        if(options.position) {
+            this.position = options.position.clone();
+            const cruise = { AIR: 1, SEA: 0.5, LAND: 0 }[this.stats.domain];
+            this.velocity = new Vec3(cruise,0,0);
+        }
+        else if(this.stats.domain === 'AIR') {
+            this.position = new Vec3(randomRange(-400,400), randomRange(100, 300), randomRange(-400,400));
+            this.velocity = new Vec3(1,0,0);
+        } 
+        else if (this.stats.domain === 'SEA') {
+            this.position = new Vec3(randomRange(-400,400), randomRange(-200, -20), randomRange(-400,400));
+            this.velocity = new Vec3(0.5,0,0);
+        }
+        else { // LAND (Stationary Turret)
+            // Spawn on top of a random land obstacle
+            const obs = battle.env.obstacles.filter(o => o.type === 'LAND_OBSTACLE');
+            if(obs.length > 0) {
+                const land = battle.rng.pick(obs);
+                this.position = land.position.clone();
+                this.position.y += land.size.h/2 + 2; // Sit on top
+            } else {
+                this.position = new Vec3(0, 10, 0);
+            }
+            this.velocity = new Vec3(0,0,0); // Stationary
+        }
+        // Random spawns can land inside terrain; start clear of it
+        if(this.stats.domain !== 'LAND') {
+            const hit = battle.env.contact(this.position, CONFIG.hullRadius);
+            if(hit) this.position.addScaledVector(hit.normal, hit.depth);
+        }
+        this.prevPosition = this.position.clone(); // For render interpolation
+        this.airframe = this.stats.aero ? new Airframe(this.stats, this.velocity) : null; // Jets fly on lift and thrust
+        this.home = this.findHome();
+    }
+
+    // Where this unit refuels and rearms. Turrets rearm where they stand; subs berth beside
+    // the sea lab nearest their spawn; jets fly back to their team's base, circling over it
+    // when the base is terrain. Without the right terrain the base's `position` stands in.
+    findHome() {
+        const base = CONFIG.teams[this.team].base;
+        const domain = this.stats.domain;
+        if(domain === 'LAND') return this.position.clone();
+
+        const site = this.nearestObstacle(domain === 'SEA' ? 'SEA_OBSTACLE' : base.type);
+        if(!site) {
+            const home = new Vec3(...base.position);
+            home.y = domain === 'SEA' ? Math.min(home.y, -50) : Math.max(home.y, 150);
+            return home;
+        }
+        if(domain === 'AIR') {
+            const top = site.size ? site.size.h / 2 : site.radius;
+            return new Vec3(site.position.x, Math.max(site.position.y + top + 60, 150), site.position.z);
+        }
+
+        // Berth just off the lab, on the side facing the spawn
+        const side = new Vec3(this.position.x - site.position.x, 0, this.position.z - site.position.z).normalize();
+        if(side.lengthSq() === 0) side.set(1, 0, 0);
+        return site.position.clone().addScaledVector(side, site.radius + CONFIG.baseRadius);
+    }
+
+    nearestObstacle(type) {
+        let best = null;
+        let bestD2 = Infinity;
+        for(const o of this.battle.env.obstacles) {
+            if(o.type !== type) continue;
+            const d2 = o.position.distanceToSquared(this.position);
+            if(d2 < bestD2) { best = o; bestD2 = d2; }
+        }
+        return best;
+    }
+
+    update(dt) {
+        if(!this.alive) return;
+        this.prevPosition.copy(this.position);
+
+        // DAMAGE OVER TIME (Fires burn on wherever the unit is)
+        const burn = this.condition.update(dt, CONFIG.fire);
+        if(burn > 0) {
+            this.takeDamage(burn, 'FIRE');
+            if(!this.alive) return;
+        }
+
+        // LOGISTICS (Sit out the rearm on base; otherwise burn fuel and head home when dry)
+        if(this.updateStores(dt)) return;
+
+        // CUSTOM CONTROLLER (Its own brain while on a sortie; logistics trips stay built in)
+        const brain = this.battle.controllers[this.team];
+        if(!brain.builtin && this.stores.mode === SORTIE) {
+            this.follow(brain, dt);
+            return;
+        }
+
+        // SENSES AND STATE (Targeting, threats and the AI state machine)
+        this.think(dt);
+        const state = this.ai.state;
+        if(state === 'PATROL') this.search(dt);
+
+        // MOVEMENT LOGIC
+        if(this.stats.domain !== 'LAND') {
+            const desired = new Vec3();
+            const sub = this.stats.domain === 'SEA';
+            let throttle = 1;
+
+            if(state === 'EVADE' && !this.stores.bingo) {
+                // Break out of the threat's line of fire. Missiles get one hard break, so they
+                // have to pull the most G; gunners get jinks that reverse every jinkPeriod.
+                const t = this.threat;
+                const missile = t instanceof Projectile;
+                const jink = missile ? 0 : (Math.floor(this.ai.time / this.ai.params.jinkPeriod) % 2 ? 1 : -1);
+                desired.copy(breakTurn(this.position, missile ? t.pos : t.position, missile ? t.vel : t.velocity, jink));
+                if(sub) this.holdDepth(desired, this.battle.thermocline.depth); // Go deep, into the layer
+
+            } else if(this.stores.mode === RTB || state === 'RETREAT') {
+                // Return To Base (Weapons tight, straight home; a retreat stays to repair).
+                // On bingo fuel there is none to spare for evading, so even a threatened unit runs.
+                desired.subVectors(this.home, this.position).normalize();
+                if(state === 'RETREAT' && this.repair(dt)) return;
+                if(this.airframe) this.airframe.limitClimb(desired, this.velocity);
+                if(sub) throttle = CONFIG.creepThrottle; // Slow and quiet
+
+            } else if(this.target) {
+                // Acquire, Intercept and Attack: pursue; only Attack opens fire
+                desired.subVectors(this.target.position, this.position).normalize();
+                if(state === 'ATTACK') this.tryFire(dt);
+
+            } else {
+                // Patrol Logic (Stay in domain)
+                if(this.position.length() > 500) desired.subVectors(new Vec3(0, (this.stats.domain==='AIR'?150:-100), 0), this.position).normalize();
+                else desired.copy(this.velocity).normalize();
+                if(sub) this.holdDepth(desired, CONFIG.seaLevel - CONFIG.patrolDepth); // Periscope depth
+            }
+
+            this.steer(desired, dt, throttle);
+        } else {
+            // TURRET LOGIC (Rotate to face target only)
+            if(state === 'ATTACK') this.tryFire(dt);
+        }
+    }
+
+    // Flies toward `desired`: terrain avoidance and domain limits first, then the airframe
+    // (or a sub's turn at `throttle` times top speed), then the move itself and any crash
+    steer(desired, dt, throttle = 1) {
+        // Terrain Avoidance (Veer around islands and labs before reaching them)
+        this.avoidTerrain(desired);
+
+        // Domain Constraints (Don't let subs fly, don't let jets swim)
+        if(this.stats.domain === 'AIR') this.holdAltitude(desired); // Pull up
+        if(this.stats.domain === 'SEA' && this.position.y > -10) desired.y -= 1; // Dive
+
+        // Apply steering (Jets bank and pull; subs turn in place at a steady speed)
+        throttle *= this.condition.throttle(CONFIG.critical.crippledThrottle);
+        if(this.airframe) {
+            this.airframe.fly(this.velocity, desired.normalize(), dt, throttle);
+        } else {
+            const { speed, turn } = this.stats.mobility;
+            const steer = this.velocity.clone().normalize().lerp(desired, turn).setLength(speed * throttle);
+            this.velocity.copy(steer);
+        }
+        this.position.add(this.velocity.clone().multiplyScalar(dt * 60));
+        this.checkCrash();
+    }
+
+    // Leans a sub's heading up or down toward `height`
+    holdDepth(desired, height) {
+        desired.y = Math.max(-0.5, Math.min(0.5, (height - this.position.y) / 100));
+    }
+
+    // Sweeps the sensors when one is due, adding what it spots to the team's picture. Subs
+    // listen on passive sonar as well.
+    scan(dt) {
+        this.pingTimer -= dt;
+        this.scanTimer -= dt;
+        if(this.scanTimer > 0) return;
+        this.scanTimer += CONFIG.scanInterval;
+        const battle = this.battle;
+        sweep(this, this.stats, {
+            grid: battle.grid, rng: battle.rng, picture: battle.pictures[this.team], time: battle.time,
+            env: battle.env, statsOf: a => a.stats
+        });
+        const sonar = this.stats.sensors.sonar;
+        if(sonar && this.position.y < CONFIG.seaLevel) listen(this.position, this.team, sonar.passive, battle.sonarContext(this.team));
+    }
+
+    // Hunting for what the team has lost: a sub pings for a sub that went quiet nearby, and a
+    // jet lays sonobuoys over one, or now and then anywhere it patrols
+    search(dt) {
+        const battle = this.battle;
+        const time = battle.time;
+        const lost = battle.pictures[this.team].recent(time, CONFIG.contactMemory)
+            .filter(c => c.position.y < CONFIG.seaLevel && time - c.lastSeen > CONFIG.trackTime);
+        const sonar = this.stats.sensors.sonar;
+        if(sonar && sonar.active && this.pingTimer <= 0) {
+            const reach = sonar.active * sonar.active;
+            if(lost.some(c => c.position.distanceToSquared(this.position) <= reach)) this.pingSonar();
+        }
+        if(this.buoys > 0) {
+            const spacing = CONFIG.sonobuoy.spacing;
+            const over = lost.some(c => Math.hypot(c.position.x - this.position.x, c.position.z - this.position.z) <= spacing);
+            if(over || battle.rng.chance(dt / CONFIG.sonobuoy.interval)) this.dropBuoy();
+        }
+    }
+
+    // Pings the active sonar. Anything it finds goes on the team's picture, but enemies listening
+    // nearby may hear the ping and learn where it came from. Returns false while the sonar
+    // recharges, out of the water or without active sonar.
+    pingSonar() {
+        const sonar = this.stats.sensors.sonar;
+        if(!sonar || !sonar.active || this.pingTimer > 0 || this.position.y >= CONFIG.seaLevel) return false;
+        this.pingTimer = CONFIG.pingInterval;
+        const battle = this.battle;
+        battle.events.emit('ping', { agent: this, position: this.position.clone(), range: sonar.active });
+        ping(this, sonar.active, battle.sonarContext(this.team));
+        battle.heardPing(this, sonar.active);
+        return true;
+    }
+
+    // Drops a sonobuoy on the sea below. Returns it, or null when out of buoys, not flying, over
+    // land or too close to another of the team's buoys.
+    dropBuoy() {
+        if(!this.buoys || this.position.y < CONFIG.seaLevel) return null;
+        const spot = new Vec3(this.position.x, CONFIG.seaLevel - CONFIG.sonobuoy.depth, this.position.z);
+        const battle = this.battle;
+        if(battle.env.contact(spot, CONFIG.hullRadius) || battle.buoyNear(this.team, spot, CONFIG.sonobuoy.spacing)) return null;
+        this.buoys--;
+        return battle.addSonobuoy(this.team, spot);
+    }
+
+    // Whether the team holds a track on `agent`, so it can be engaged
+    tracking(agent) {
+        return this.battle.pictures[this.team].tracking(agent, this.battle.time, CONFIG.trackTime);
+    }
+
+    // What the state machine sees this step, then one transition at most
+    think(dt) {
+        // Nearest tracked enemy in sensor range via the broad-phase grid, dropped once it dies,
+        // escapes or the team loses track of it
+        const range = this.stats.sensors.range;
+        const t = this.target;
+        if(t && (!t.alive || !this.tracking(t) || t.position.distanceToSquared(this.position) > range * range)) this.target = null;
+        if(!this.target) {
+            this.target = this.battle.grid.nearest(this.position, range, a => a.alive && a.team !== this.team && this.tracking(a));
+        }
+
+        // Threats: a missile tracking this unit, or a recent shot from somewhere it can't answer
+        const missile = this.stats.domain === 'AIR' ? this.incomingMissile() : null;
+        const shooter = this.firedOnBy;
+        const shot = shooter && shooter.alive && this.battle.time - this.firedOnAt <= CONFIG.threatMemory
+            && offNose(this.position, this.velocity, shooter.position, this.ai.params.evadeAspect);
+        const threat = missile || (shot ? shooter : null);
+        if(threat) {
+            this.threat = threat;
+            this.threatAt = this.battle.time;
+        }
+
+        const target = this.target;
+        const change = this.ai.update(dt, {
+            target,
+            targetDistance: target ? this.position.distanceTo(target.position) : Infinity,
+            weaponRange: target ? this.weaponRange(target) : 0,
+            threat,
+            sinceThreat: this.battle.time - this.threatAt,
+            hp: this.hp / this.stats.durability.hp,
+            mobile: this.stats.mobility.speed > 0
+        });
+        if(change) this.battle.events.emit('state', { agent: this, ...change });
+    }
+
+    // Longest reach of any weapon that can engage `target`
+    weaponRange(target) {
+        let range = 0;
+        for(const w of this.stats.weapons) {
+            if(w.targets.includes(target.stats.domain)) range = Math.max(range, w.range);
+        }
+        return range;
+    }
+
+    // Patches up a retreating unit once it's home. Returns true while it sits there.
+    repair(dt) {
+        if(this.position.distanceTo(this.home) > CONFIG.baseRadius) return false;
+        const hp = this.stats.durability.hp;
+        this.hp = Math.min(hp, this.hp + hp * dt / CONFIG.repairTime);
+        if(this.hp >= hp) this.condition.repair();
+        return true;
+    }
+
+    // Asks a custom controller what to do and carries it out
+    follow(brain, dt) {
+        const command = brain.decide(this.observe(), dt) || {};
+        if(command.state !== undefined && command.state !== this.label) {
+            this.battle.events.emit('state', { agent: this, from: this.label, to: command.state });
+            this.label = command.state;
+        }
+
+        const target = command.target !== undefined ? this.seen.get(command.target) : null;
+        this.target = target || null;
+        if(command.fire && this.target) this.tryFire(dt, Array.isArray(command.fire) ? command.fire : null);
+        if(command.ping) this.pingSonar();
+        if(command.buoy) this.dropBuoy();
+        if(this.stats.domain === 'LAND') return;
+
+        const desired = new Vec3();
+        if(command.steer) desired.set(...(Array.isArray(command.steer) ? command.steer : [command.steer.x, command.steer.y, command.steer.z]));
+        if(desired.lengthSq() === 0) desired.copy(this.velocity);
+        this.steer(desired.normalize(), dt);
+    }
+
+    // What a custom controller gets to see (see core/controllers.js). Contacts come off
+    // the team's picture; tracked ones it may name as a target are kept in this.seen by id.
+    observe() {
+        const range = this.stats.sensors.range;
+        const allies = [];
+        this.seen = new Map();
+        this.battle.grid.forEachInRadius(this.position.x, this.position.y, this.position.z, range, (a, d2) => {
+            if(a === this || !a.alive || a.team !== this.team) return;
+            allies.push({
+                id: a.id, team: a.team, unit: a.unit, domain: a.stats.domain,
+                position: a.position.clone(), velocity: a.velocity.clone(), distance: Math.sqrt(d2), hp: a.hp
+            });
+        });
+        const time = this.battle.time;
+        const contacts = [];
+        this.battle.pictures[this.team].recent(time, CONFIG.contactMemory).forEach(c => {
+            const distance = c.position.distanceTo(this.position);
+            if(distance > range) return;
+            const age = time - c.lastSeen;
+            const tracked = age <= CONFIG.trackTime;
+            if(tracked) this.seen.set(c.id, c.agent);
+            contacts.push({
+                id: c.id, team: c.team, unit: c.unit, domain: c.agent.stats.domain,
+                position: c.position.clone(), velocity: c.velocity.clone(), distance,
+                hp: tracked ? c.agent.hp : null, age, tracked
+            });
+        });
+        const nearest = (a, b) => a.distance - b.distance;
+
+        const threats = this.battle.projectiles
+            .filter(p => p.active && p.target === this && p.team !== this.team && (p.type === 'MISSILE' || p.type === 'TORPEDO'))
+            .map(p => ({ id: p.id, type: p.type, position: p.pos.clone(), velocity: p.vel.clone(), distance: p.pos.distanceTo(this.position) }))
+            .filter(t => t.distance <= range);
+
+        const obstacles = this.battle.env.obstacles
+            .filter(o => o.position.distanceTo(this.position) <= range + (o.radius || Math.max(o.size.w, o.size.h, o.size.d)))
+            .map(o => o.size
+                ? { type: o.type, position: o.position.clone(), size: { ...o.size } }
+                : { type: o.type, position: o.position.clone(), radius: o.radius });
+
+        const stores = this.stores;
+        return {
+            time: this.battle.time,
+            memory: this.memory,
+            self: {
+                id: this.id, team: this.team, unit: this.unit, domain: this.stats.domain,
+                position: this.position.clone(), velocity: this.velocity.clone(),
+                hp: this.hp, maxHp: this.stats.durability.hp,
+                speed: this.stats.mobility.speed, sensorRange: range,
+                fuel: stores.fuelCapacity > 0 ? stores.fuel : null,
+                home: this.home.clone(),
+                sonobuoys: this.buoys,
+                weapons: this.stats.weapons.map((w, i) => ({
+                    kind: w.kind, range: w.range, targets: [...w.targets],
+                    rounds: stores.magazines[i] > 0 ? Math.floor(stores.ammo[i]) : null
+                }))
+            },
+            contacts: contacts.sort(nearest),
+            allies: allies.sort(nearest),
+            threats: threats.sort(nearest),
+            obstacles
+        };
+    }
+
+    // AI state for HUDs and logs; logistics trips show as RTB and REARMING, and a custom
+    // controller shows whatever it last reported
+    get state() {
+        if(this.stores.mode !== SORTIE) return this.stores.mode;
+        return this.battle.controllers[this.team].builtin ? this.ai.state : this.label;
+    }
+
+    // Burns fuel, turns for home on an empty magazine or bingo fuel, and refuels and rearms
+    // on arrival. Returns true while the unit is on base, where it neither moves nor fights.
+    updateStores(dt) {
+        const stores = this.stores;
+        const distance = this.position.distanceTo(this.home);
+        if(stores.mode !== SORTIE && distance <= CONFIG.baseRadius) {
+            if(stores.replenish(dt, CONFIG.rearmTime)) {
+                this.buoys = this.stats.sensors.sonobuoys;
+                this.condition.repair(); // The ground crew fixes what was hit, too
+                this.battle.events.emit('rearmed', { agent: this });
+            }
+            return stores.mode === REARMING;
+        }
+
+        const reason = stores.update(dt, this.timeHome(distance));
+        if(reason) this.battle.events.emit('rtb', { agent: this, reason });
+        if(stores.outOfFuel) {
+            this.takeDamage(this.hp, 'FUEL'); // Flamed out short of home
+            return true;
+        }
+        return false;
+    }
+
+    // Seconds to get home from `distance` out: turning about, then the trip at the speed
+    // the unit goes home at, which a hit engine cuts and a sub keeps to a creep. Jets may
+    // also have to climb, no faster than the engine allows.
+    timeHome(distance) {
+        const { speed, turn } = this.stats.mobility;
+        if(speed <= 0) return 0; // Turrets stay put
+        let throttle = this.condition.throttle(CONFIG.critical.crippledThrottle);
+        if(this.stats.domain === 'SEA') throttle *= CONFIG.creepThrottle; // Subs creep home
+        if(!this.airframe) return Math.PI / (turn * 60) + distance / (speed * throttle * 60);
+        const cruise = speed * Math.sqrt(throttle); // Where thrust meets drag
+        const climb = Math.max(0, this.home.y - this.position.y) / (this.airframe.climbRate(throttle) * 60);
+        return this.airframe.reverseTime(cruise) + Math.max(distance / (cruise * 60), climb);
+    }
+
+    // Scans `lookAhead` seconds down the flight path and bends `desired` off any obstacle
+    // in the way, harder the closer it is
+    avoidTerrain(desired) {
+        const speed = this.velocity.length();
+        if(speed === 0) return;
+        const heading = this.velocity.clone().multiplyScalar(1 / speed);
+        const range = speed * 60 * CONFIG.lookAhead * (this.airframe ? 2 : 1); // Jets turn wide
+        const hit = this.battle.env.raycast(this.position, heading, range, CONFIG.hullRadius * 2);
+        if(!hit) return;
+
+        // Slide along the surface: drop the part of the heading that runs into it
+        const urgency = 1 - hit.distance / range;
+        const slide = heading.addScaledVector(hit.normal, -heading.dot(hit.normal));
+        if(slide.lengthSq() < 1e-6) slide.crossVectors(hit.normal, UP); // Dead square on: pick a side
+        if(slide.lengthSq() < 1e-6) slide.set(1, 0, 0);
+        slide.normalize().addScaledVector(hit.normal, urgency);
+        if(this.airframe) slide.y += urgency; // Climbing over is quicker than turning away
+        slide.normalize();
+        desired.lerp(slide, urgency).normalize();
+    }
+
+    // Jets can't stop on a point, so pull up on where the dive is heading, not where the jet
+    // is: below the floor after two look-ahead spans, the pull gets harder the deeper it goes
+    holdAltitude(desired) {
+        const sink = Math.max(0, -this.velocity.y) * 60 * CONFIG.lookAhead * 2;
+        const short = CONFIG.minAltitude - (this.position.y - CONFIG.seaLevel - sink);
+        if(short <= 0) return;
+        desired.normalize();
+        desired.y = Math.max(desired.y, 0) + 2 * Math.min(1, short / CONFIG.minAltitude);
+    }
+
+    // Hitting terrain (or the sea, for jets) bounces the hull back out and costs hp by how
+    // squarely it struck
+    checkCrash() {
+        const hit = this.battle.env.contact(this.position, CONFIG.hullRadius) || this.seaContact();
+        if(!hit) return;
+        this.position.addScaledVector(hit.normal, hit.depth);
+        const into = -this.velocity.dot(hit.normal);
+        if(into <= 0) return; // Already pulling away
+
+        this.velocity.addScaledVector(hit.normal, 2 * into);
+        this.battle.events.emit('impact', { position: this.position.clone(), color: 0xffffff, type: 'CRASH' });
+        this.takeDamage(CONFIG.crashDamage * into / this.stats.mobility.speed, 'CRASH');
+    }
+
+    seaContact() {
+        const depth = CONFIG.seaLevel + CONFIG.hullRadius - this.position.y;
+        if(this.stats.domain !== 'AIR' || depth <= 0) return null;
+        return { obstacle: null, normal: UP.clone(), depth };
+    }
+
+    // Each weapon that can engage the target's domain at this range fires at its reload rate
+    // on average. Missiles launch along the nose, so the target must sit in their seeker cone.
+    // `kinds` limits it to those weapon kinds.
+    tryFire(dt, kinds = null) {
+        if(this.stores.mode !== SORTIE || !this.condition.canFire) return;
+        const target = this.target;
+        const domain = target.stats.domain;
+        const dist = this.position.distanceTo(target.position);
+        this.stats.weapons.forEach((weapon, slot) => {
+            if(kinds && !kinds.includes(weapon.kind)) return;
+            if(!weapon.targets.includes(domain) || dist > weapon.range || !this.stores.canFire(slot)) return;
+            if(weapon.guidance && !this.inCone(target, weapon.guidance.seeker)) return;
+            if(this.battle.rng.chance(dt / weapon.reload)) {
+                this.stores.expend(slot);
+                this.attack(weapon);
+            }
+        });
+    }
+
+    inCone(agent, degrees) {
+        const los = agent.position.clone().sub(this.position);
+        return this.velocity.angleTo(los) <= degrees * Math.PI / 180;
+    }
+
+    // Closest live missile fired at this unit inside warning range, or null. Jets keep
+    // evading after its seeker loses them, since it can still fly into them.
+    incomingMissile() {
+        let best = null;
+        let bestD2 = CONFIG.missileWarning * CONFIG.missileWarning;
+        for(const p of this.battle.projectiles) {
+            if(!p.active || p.type !== 'MISSILE' || p.target !== this) continue;
+            const d2 = p.pos.distanceToSquared(this.position);
+            if(d2 < bestD2) { best = p; bestD2 = d2; }
+        }
+        return best;
+    }
+
+    attack(weapon) {
+        this.battle.spawnProjectile(this, this.target, weapon);
+        this.target.firedOnBy = this;
+        this.target.firedOnAt = this.battle.time;
+    }
+
+    // `source` is the projectile that hit, null for crashes, fires and flame-outs. Weapon
+    // hits go through the damage matrix and armour, and may be critical (see core/damage.js).
+    takeDamage(amt, type, source = null) {
+        const amount = source ? weaponDamage(amt, type, this.stats.domain, this.stats.durability.armor) : amt;
+        this.hp -= amount;
+        if(source) this.battle.combat.hit(this, source.shooter, type, amount, this.battle.time);
+        this.battle.events.emit('damage', {
+            agent: this, amount, type,
+            shooter: source ? source.shooter : null,
+            team: source ? source.team : null
+        });
+        if(this.hp <= 0 && this.alive) {
+            this.battle.registerKill(this, type);
+            this.explode();
+        } else if(source && this.alive) {
+            // A unit that can't move has no engine to lose
+            const systems = this.stats.mobility.speed > 0 ? SUBSYSTEMS : SUBSYSTEMS.filter(s => s !== 'ENGINE');
+            const system = this.condition.critical(this.battle.rng, systems, CONFIG.critical, CONFIG.fire);
+            if(system) this.battle.events.emit('critical', { agent: this, system });
+        }
+    }
+
+    explode() {
+        this.alive = false;
+        // Big Explosion for bigger units
+        this.battle.events.emit('explosion', { agent: this, position: this.position.clone(), color: this.stats.color, scale: this.stats.durability.blast });
+    }
+}
+
+// --- BATTLE (Headless multi-domain engagement) ---
+export class MultiDomainBattle {
+    // options.obstacles lays out a scenario's terrain instead of generating it;
+    // options.friendlyFire overrides CONFIG.friendlyFire; options.loadouts overrides
+    // team loadouts class by class, e.g. { CYAN: { FIGHTER: { fuel: 60 } } };
+    // options.doctrines replaces team doctrines, e.g. { LIME: { params: { attackRange: 0.8 } } };
+    // options.controllers picks each team's pilot brain, by name or as an object
+    constructor(seed, options = {}) {
+        this.rng = new Random(seed);
+        this.seed = this.rng.seed;
+        this.nextId = 1;
+        this.events = new EventBus();
+        this.obstacles = options.obstacles; // A scenario's terrain, laid out again on reset
+        this.env = new Environment(this.rng, this.obstacles);
+        this.grid = new SpatialGrid(CONFIG.gridCellSize);
+        this.agents = [];
+        this.projectiles = [];
+        this.combat = new CombatLog(Object.keys(CONFIG.teams), CONFIG.assistWindow); // Kill records, scores and stats
+        this.friendlyFire = options.friendlyFire !== undefined ? options.friendlyFire : CONFIG.friendlyFire;
+        this.loadouts = {};
+        this.doctrines = {};
+        this.controllers = {};
+        this.pictures = {}; // What each team's sensors have seen, see core/sensors.js
+        this.thermocline = new Thermocline(CONFIG.thermocline);
+        this.sonobuoys = [];
+        Object.entries(CONFIG.teams).forEach(([team, t]) => {
+            this.loadouts[team] = { ...t.loadout, ...(options.loadouts && options.loadouts[team]) };
+            this.doctrines[team] = makeDoctrine((options.doctrines && options.doctrines[team]) || t.doctrine);
+            this.setController(team, (options.controllers && options.controllers[team]) || t.controller);
+            this.pictures[team] = new ContactPicture(team);
+        });
+        this.time = 0;
+        this.tick = 0;
+    }
+
+    // Hands a team to a registered controller (by name) or a controller object
+    setController(team, controller) {
+        this.controllers[team] = resolveController(controller);
+    }
+
+    spawnAirWing() { return this.spawnBatch('CYAN', 5); }
+    spawnNavalFleet() { return this.spawnBatch('MAGENTA', 3); }
+    spawnGroundDefense() { return this.spawnBatch('LIME', 4); }
+
+    // options: unit, plus position (a Vec3) and formation to place the batch by hand
+    spawnBatch(team, count, options = {}) {
+        const spawned = [];
+        if(this.agents.length >= CONFIG.maxAgents) return spawned;
+
+        let slots = null;
+        if(options.position) {
+            // Formations face the middle of the map, level with the spawn point
+            const heading = new Vec3(-options.position.x, 0, -options.position.z).normalize();
+            if(heading.lengthSq() === 0) heading.set(0, 0, 1);
+            slots = formationPositions(options.formation || 'WALL', options.position, heading, count, this.rng);
+        }
+        for(let i=0; i<count; i++) {
+            const agent = new Agent(team, this, { unit: options.unit, position: slots && slots[i] });
+            this.agents.push(agent);
+            spawned.push(agent);
+            this.events.emit('agentAdded', agent);
+        }
+        return spawned;
+    }
+
+    spawnProjectile(shooter, target, weapon) {
+        const p = new Projectile(this, shooter, target, weapon);
+        this.projectiles.push(p);
+        this.events.emit('projectileAdded', p);
+        return p;
+    }
+
+    addSonobuoy(team, position) {
+        const buoy = new Sonobuoy(this, team, position);
+        this.sonobuoys.push(buoy);
+        this.events.emit('sonobuoyAdded', buoy);
+        return buoy;
+    }
+
+    // Whether one of `team`'s buoys floats within `distance` of `position`, across the water
+    buoyNear(team, position, distance) {
+        return this.sonobuoys.some(b => b.active && b.team === team
+            && Math.hypot(b.position.x - position.x, b.position.z - position.z) < distance);
+    }
+
+    // What the sonar sweeps in core/sensors.js need, listening for `team`
+    sonarContext(team) {
+        return {
+            grid: this.grid, rng: this.rng, picture: this.pictures[team], time: this.time,
+            layer: this.thermocline, seaLevel: CONFIG.seaLevel,
+            noiseOf: a => radiatedNoise(a.stats.hull.noise, a.velocity.length(), a.stats.mobility.speed),
+            signatureOf: a => a.stats.hull.signature
+        };
+    }
+
+    // Enemy subs and sonobuoys within PING_REACH times a ping's range may hear it, and put
+    // the sub that pinged on their team's picture
+    heardPing(pinger, range) {
+        const reach = range * PING_REACH;
+        const hear = (team, position) => {
+            if(team === pinger.team) return;
+            const loudness = this.thermocline.transmission(position, pinger.position);
+            if(this.rng.chance(detectionChance(loudness, position.distanceTo(pinger.position), reach))) {
+                this.pictures[team].report(pinger, this.time);
+            }
+        };
+        this.agents.forEach(a => { if(a.alive && a.stats.sensors.sonar) hear(a.team, a.position); });
+        this.sonobuoys.forEach(b => { if(b.active) hear(b.team, b.position); });
+    }
+
+    get scores() {
+        return this.combat.scores;
+    }
+
+    // Writes up `victim`'s death from `cause`; the combat log decides who scores
+    registerKill(victim, cause) {
+        const record = this.combat.kill(victim, cause, this.time);
+        this.events.emit('kill', { record, scores: this.scores });
+    }
+
+    update(dt) {
+        this.time += dt;
+        this.tick++;
+
+        // Update Entities
+        this.agents = this.agents.filter(a => a.alive);
+        this.grid.rebuild(this.agents);
+
+        // Sensors first, so every unit acts on the same picture
+        this.agents.forEach(a => a.scan(dt));
+        this.sonobuoys = this.sonobuoys.filter(b => b.active);
+        this.sonobuoys.forEach(b => b.update(dt));
+        Object.values(this.pictures).forEach(p => p.prune(this.time, CONFIG.contactMemory));
+        this.agents.forEach(a => a.update(dt));
+
+        // Units have moved, and some spawned, since the grid was built: projectiles sweep and
+        // burst against where they are now
+        this.grid.rebuild(this.agents);
+        this.projectiles = this.projectiles.filter(p => p.active);
+        this.projectiles.forEach(p => p.update(dt));
+
+        this.events.emit('step', this);
+    }
+
+    // Clears the field for a fresh battle on `seed`, keeping each team's loadouts, doctrines
+    // and controllers. The same seed (the default) replays the same battle, terrain and all.
+    reset(seed = this.seed) {
+        this.agents.forEach(a => this.events.emit('agentRemoved', a));
+        this.projectiles.forEach(p => p.kill());
+        this.sonobuoys.forEach(b => {
+            if(!b.active) return;
+            b.active = false;
+            this.events.emit('sonobuoyRemoved', b);
+        });
+        this.agents = [];
+        this.projectiles = [];
+        this.sonobuoys = [];
+        Object.values(this.pictures).forEach(p => p.clear());
+        this.combat.reset();
+        this.rng = new Random(seed);
+        this.seed = this.rng.seed;
+        this.nextId = 1;
+        this.env = new Environment(this.rng, this.obstacles);
+        this.time = 0;
+        this.tick = 0;
+        this.events.emit('reset', this);
+    }
+
+    // Alive unit count per team, for HUDs and headless reports
+    teamCounts() {
+        const counts = { CYAN: 0, MAGENTA: 0, LIME: 0 };
+        this.agents.forEach(a => { if(a.alive) counts[a.team]++; });
+        return counts;
+    }
+
+    // Live units heading home or rearming, for the HUD
+    atBaseCount() {
+        return this.agents.filter(a => a.alive && a.stores.mode !== SORTIE).length;
+    }
+}
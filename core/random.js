@@ -0,0 +1,33 @@
+// --- SEEDED RANDOM (mulberry32) ---
+// Every sim decision draws from one of these so that the same seed plus the
+// same inputs replays the same battle. Visual-only jitter may keep Math.random.
+
+export class Random {
+    constructor(seed = Random.randomSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Uniform float in [0, 1)
+    next() {
+        let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) { return this.next() * (max - min) + min; }
+    int(max) { return Math.floor(this.next() * max); }
+    chance(p) { return this.next() < p; }
+    pick(list) { return list[this.int(list.length)]; }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    // Reads `?seed=1234` from a query string, falling back to `fallback` or a fresh seed
+    static seedFromQuery(search, fallback = Random.randomSeed()) {
+        const match = /[?&]seed=(\d+)/.exec(search || '');
+        return match ? (parseInt(match[1], 10) >>> 0) : fallback;
+    }
+}
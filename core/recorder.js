@@ -0,0 +1,360 @@
+import { Vec3 } from './math.js';
+import { EventBus } from './events.js';
+
+// --- BATTLE RECORDING ---
+// A recording is plain JSON: static entity info, sampled frames and a timed
+// event log. Frame transforms are quantised to Int16 and base64 packed, which
+// keeps a few minutes of a full squadron battle in the low megabytes.
+//
+//   frame.agents      ids: Uint32[n]  data: Int16[n * 7]  (x y z vx vy vz hp)
+//   frame.projectiles ids: Uint32[n]  data: Int16[n * 6]  (x y z vx vy vz)
+
+export const RECORDING_FORMAT = 'dogfight-recording';
+export const RECORDING_VERSION = 1;
+
+const POS_SCALE = 8;      // 1/8 unit precision, +-4096 range
+const VEL_SCALE = 1000;   // 1/1000 unit/frame precision, +-32 range
+const AGENT_STRIDE = 7;
+const PROJECTILE_STRIDE = 6;
+
+// Battle events copied into the log, with the fields worth keeping
+const LOGGED_EVENTS = {
+    explosion: e => ({ id: e.agent ? e.agent.id : null, position: e.position.toArray(), color: e.color, scale: e.scale }),
+    splash: e => ({ position: e.position.toArray() }),
+    impact: e => ({ position: e.position.toArray(), color: e.color, kind: e.type }),
+    laser: e => ({ from: e.from.toArray(), to: e.to.toArray(), color: e.color }),
+    damage: e => ({ id: e.agent.id, amount: e.amount, kind: e.type, by: e.shooter ? e.shooter.id : null, team: e.team || null }),
+    state: e => ({ id: e.agent.id, from: e.from, to: e.to }), // AI state changes, for reading back a fight
+    lead: e => ({ flight: e.flight.id, id: e.agent.id }),
+    formation: e => ({ flight: e.flight.id, formation: e.formation }),
+    ping: e => ({ id: e.agent.id, position: e.position.toArray(), range: e.range }),
+    critical: e => ({ id: e.agent.id, system: e.system }),
+    kill: e => ({ record: e.record }) // Kill records from core/combatlog.js, already plain data
+};
+
+const quantise = (v, scale) => Math.max(-32768, Math.min(32767, Math.round(v * scale)));
+
+function encode(typedArray) {
+    const bytes = new Uint8Array(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
+    let binary = '';
+    for(let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function decode(base64, ArrayType) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for(let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new ArrayType(bytes.buffer);
+}
+
+// --- RECORDER (Listens to a live battle) ---
+export class BattleRecorder {
+    constructor(battle, options = {}) {
+        this.battle = battle;
+        this.variant = options.variant || 'battle';
+        this.sampleEvery = options.sampleEvery || 3; // Ticks between frames
+        this.maxFrames = options.maxFrames || 20 * 60 * 20; // ~20 minutes at 20Hz
+        this.scores = options.scores || (b => b.scores);
+        this.scenario = options.scenario || null; // Kept so replays can rebuild scenario terrain
+        this.recording = false;
+
+        battle.events.on('step', () => this.capture());
+        battle.events.on('reset', () => { if(this.recording) this.start(); });
+        battle.events.on('agentAdded', a => this.addEntity({ id: a.id, kind: 'agent', team: a.team, unit: a.unit }));
+        battle.events.on('projectileAdded', p => {
+            this.addEntity({ id: p.id, kind: 'projectile', type: p.type, color: p.color });
+            this.log('projectile', { id: p.id, type: p.type, position: p.pos.toArray() });
+        });
+        Object.keys(LOGGED_EVENTS).forEach(name => {
+            battle.events.on(name, e => this.log(name, LOGGED_EVENTS[name](e)));
+        });
+    }
+
+    start() {
+        this.recording = true;
+        this.full = false;
+        this.startTime = this.battle.time;
+        this.entities = {};
+        this.frames = [];
+        this.eventLog = [];
+        // Units already on the field when recording starts
+        this.battle.agents.forEach(a => this.addEntity({ id: a.id, kind: 'agent', team: a.team, unit: a.unit }));
+        (this.battle.projectiles || []).forEach(p => this.addEntity({ id: p.id, kind: 'projectile', type: p.type, color: p.color }));
+        this.captureFrame();
+    }
+
+    stop() {
+        this.recording = false;
+        return this.toJSON();
+    }
+
+    get duration() {
+        return this.frames && this.frames.length ? this.frames[this.frames.length - 1].t : 0;
+    }
+
+    addEntity(info) {
+        if(this.recording) this.entities[info.id] = info;
+    }
+
+    log(type, data) {
+        if(!this.recording || this.full) return;
+        this.eventLog.push({ t: this.battle.time - this.startTime, type, ...data });
+    }
+
+    capture() {
+        if(!this.recording || this.full) return;
+        if(this.battle.tick % this.sampleEvery !== 0) return;
+        this.captureFrame();
+        if(this.frames.length >= this.maxFrames) {
+            this.full = true;
+            this.battle.events.emit('log', 'RECORDER: BUFFER FULL');
+        }
+    }
+
+    captureFrame() {
+        const agents = this.battle.agents.filter(a => a.alive);
+        const projectiles = (this.battle.projectiles || []).filter(p => p.active);
+
+        const agentIds = new Uint32Array(agents.length);
+        const agentData = new Int16Array(agents.length * AGENT_STRIDE);
+        agents.forEach((a, i) => {
+            const o = i * AGENT_STRIDE;
+            agentIds[i] = a.id;
+            agentData[o] = quantise(a.position.x, POS_SCALE);
+            agentData[o+1] = quantise(a.position.y, POS_SCALE);
+            agentData[o+2] = quantise(a.position.z, POS_SCALE);
+            agentData[o+3] = quantise(a.velocity.x, VEL_SCALE);
+            agentData[o+4] = quantise(a.velocity.y, VEL_SCALE);
+            agentData[o+5] = quantise(a.velocity.z, VEL_SCALE);
+            agentData[o+6] = quantise(a.hp, 1);
+        });
+
+        const projIds = new Uint32Array(projectiles.length);
+        const projData = new Int16Array(projectiles.length * PROJECTILE_STRIDE);
+        projectiles.forEach((p, i) => {
+            const o = i * PROJECTILE_STRIDE;
+            projIds[i] = p.id;
+            projData[o] = quantise(p.pos.x, POS_SCALE);
+            projData[o+1] = quantise(p.pos.y, POS_SCALE);
+            projData[o+2] = quantise(p.pos.z, POS_SCALE);
+            projData[o+3] = quantise(p.vel.x, VEL_SCALE);
+            projData[o+4] = quantise(p.vel.y, VEL_SCALE);
+            projData[o+5] = quantise(p.vel.z, VEL_SCALE);
+        });
+
+        this.frames.push({
+            t: this.battle.time - this.startTime,
+            scores: { ...this.scores(this.battle) },
+            agents: { ids: encode(agentIds), data: encode(agentData) },
+            projectiles: { ids: encode(projIds), data: encode(projData) }
+        });
+    }
+
+    toJSON() {
+        return {
+            format: RECORDING_FORMAT,
+            version: RECORDING_VERSION,
+            variant: this.variant,
+            seed: this.battle.seed,
+            scenario: this.scenario,
+            sampleEvery: this.sampleEvery,
+            duration: this.duration,
+            entities: this.entities,
+            frames: this.frames,
+            events: this.eventLog
+        };
+    }
+}
+
+// --- REPLAY (Plays a recording back through the same event names as a battle) ---
+// Agents and projectiles are lightweight proxies shaped like the live ones, so a
+// render layer can point its existing views at `replay.events`.
+export class BattleReplay {
+    constructor(recording, options = {}) {
+        if(!recording || recording.format !== RECORDING_FORMAT) throw new Error('Not a dog-fight recording');
+        if(recording.version > RECORDING_VERSION) throw new Error(`Recording version ${recording.version} is newer than this build`);
+
+        this.recording = recording;
+        this.describeAgent = options.describeAgent || (info => ({ team: info.team }));
+        this.events = new EventBus();
+        this.duration = recording.duration;
+        this.time = 0;
+        this.speed = 1;
+        this.playing = false;
+        this.frames = recording.frames.map(f => this.decodeFrame(f));
+        this.agents = [];
+        this.projectiles = [];
+        this.scores = {};
+        this.proxies = new Map();
+        this.eventCursor = 0; // Next entry of recording.events to emit
+    }
+
+    decodeFrame(frame) {
+        return {
+            t: frame.t,
+            scores: frame.scores,
+            agentIds: decode(frame.agents.ids, Uint32Array),
+            agentData: decode(frame.agents.data, Int16Array),
+            projIds: decode(frame.projectiles.ids, Uint32Array),
+            projData: decode(frame.projectiles.data, Int16Array)
+        };
+    }
+
+    // Index of the last frame at or before t
+    frameIndexAt(t) {
+        let lo = 0, hi = this.frames.length - 1;
+        while(lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if(this.frames[mid].t <= t) lo = mid; else hi = mid - 1;
+        }
+        return lo;
+    }
+
+    play() { this.playing = true; }
+    pause() { this.playing = false; }
+
+    // Jump anywhere on the timeline; views are rebuilt from scratch
+    seek(t) {
+        this.time = Math.max(0, Math.min(this.duration, t));
+        this.proxies.forEach(proxy => this.events.emit(proxy.kind === 'agent' ? 'agentRemoved' : 'projectileRemoved', proxy));
+        this.proxies.clear();
+        const events = this.recording.events;
+        this.eventCursor = 0;
+        while(this.eventCursor < events.length && events[this.eventCursor].t <= this.time) this.eventCursor++;
+        this.applyFrames();
+        this.events.emit('seek', { time: this.time }); // Views that sum up the past rebuild from here
+    }
+
+    // Called once per rendered frame with unscaled wall time
+    update(dt) {
+        if(!this.playing || !this.frames.length) return;
+        const from = this.time;
+        this.time = Math.max(0, Math.min(this.duration, this.time + dt * this.speed));
+        if(this.time < from) {
+            this.seek(this.time); // Rewinding playback, effects are not replayed backwards
+        } else {
+            this.emitEvents(from, this.time);
+            this.applyFrames();
+        }
+        if(this.time >= this.duration || this.time <= 0) this.playing = false;
+    }
+
+    emitEvents(from, to) {
+        const events = this.recording.events;
+        while(this.eventCursor < events.length && events[this.eventCursor].t <= to) {
+            const e = events[this.eventCursor++];
+            if(e.t <= from) continue;
+            if(e.type === 'explosion') {
+                const agent = this.proxies.get(e.id) || null;
+                this.events.emit('explosion', { agent, position: new Vec3(...e.position), color: e.color, scale: e.scale });
+            } else if(e.type === 'splash') {
+                this.events.emit('splash', { position: new Vec3(...e.position) });
+            } else if(e.type === 'impact') {
+                this.events.emit('impact', { position: new Vec3(...e.position), color: e.color, type: e.kind });
+            } else if(e.type === 'laser') {
+                this.events.emit('laser', { from: new Vec3(...e.from), to: new Vec3(...e.to), color: e.color });
+            } else if(e.type === 'damage') {
+                const agent = this.proxies.get(e.id);
+                const shooter = e.by ? this.proxies.get(e.by) || null : null;
+                if(agent) this.events.emit('damage', { agent, amount: e.amount, type: e.kind, shooter, team: e.team || null });
+            } else if(e.type === 'ping') {
+                this.events.emit('ping', { agent: this.proxies.get(e.id) || null, position: new Vec3(...e.position), range: e.range });
+            } else if(e.type === 'critical') {
+                const agent = this.proxies.get(e.id);
+                if(agent) this.events.emit('critical', { agent, system: e.system });
+            } else if(e.type === 'kill') {
+                this.events.emit('kill', { record: e.record });
+            }
+        }
+    }
+
+    // Kill records logged up to the current time, oldest first
+    killRecords() {
+        return this.recording.events.filter(e => e.type === 'kill' && e.t <= this.time).map(e => e.record);
+    }
+
+    // Moves every proxy to the interpolated position at this.time
+    applyFrames() {
+        if(!this.frames.length) return;
+        const i = this.frameIndexAt(this.time);
+        const a = this.frames[i];
+        const b = this.frames[Math.min(i + 1, this.frames.length - 1)];
+        const alpha = b.t > a.t ? (this.time - a.t) / (b.t - a.t) : 0;
+        const seen = new Set();
+
+        this.scores = a.scores;
+        this.applyGroup(a.agentIds, a.agentData, b.agentIds, b.agentData, AGENT_STRIDE, alpha, 'agent', seen);
+        this.applyGroup(a.projIds, a.projData, b.projIds, b.projData, PROJECTILE_STRIDE, alpha, 'projectile', seen);
+
+        // Anything not in the current frame has died or expired
+        for(const [id, proxy] of this.proxies) {
+            if(seen.has(id)) continue;
+            this.proxies.delete(id);
+            if(proxy.kind === 'agent') {
+                if(proxy.alive) this.events.emit('agentRemoved', proxy);
+                proxy.alive = false;
+            } else {
+                proxy.active = false;
+                this.events.emit('projectileRemoved', proxy);
+            }
+        }
+
+        this.agents = [];
+        this.projectiles = [];
+        this.proxies.forEach(p => (p.kind === 'agent' ? this.agents : this.projectiles).push(p));
+        this.events.emit('score', { scores: this.scores });
+    }
+
+    applyGroup(idsA, dataA, idsB, dataB, stride, alpha, kind, seen) {
+        const next = new Map();
+        for(let j = 0; j < idsB.length; j++) next.set(idsB[j], j);
+
+        for(let j = 0; j < idsA.length; j++) {
+            const id = idsA[j];
+            const o = j * stride;
+            const k = next.has(id) ? next.get(id) * stride : -1;
+            const lerp = (c, scale) => {
+                const va = dataA[o + c] / scale;
+                return k < 0 ? va : va + (dataB[k + c] / scale - va) * alpha;
+            };
+
+            let proxy = this.proxies.get(id);
+            const created = !proxy;
+            if(created) proxy = this.createProxy(id, kind);
+            if(!proxy) continue;
+            seen.add(id);
+
+            const pos = kind === 'agent' ? proxy.position : proxy.pos;
+            const vel = kind === 'agent' ? proxy.velocity : proxy.vel;
+            pos.set(lerp(0, POS_SCALE), lerp(1, POS_SCALE), lerp(2, POS_SCALE));
+            vel.set(lerp(3, VEL_SCALE), lerp(4, VEL_SCALE), lerp(5, VEL_SCALE));
+            if(kind === 'agent') {
+                proxy.prevPosition.copy(pos);
+                proxy.hp = dataA[o + 6];
+            } else {
+                proxy.prevPos.copy(pos);
+            }
+            // Views build meshes from the proxy, so announce it once it has a position
+            if(created) this.events.emit(kind === 'agent' ? 'agentAdded' : 'projectileAdded', proxy);
+        }
+    }
+
+    createProxy(id, kind) {
+        const info = this.recording.entities[id];
+        if(!info) return null;
+        let proxy;
+        if(kind === 'agent') {
+            proxy = { id, kind, alive: true, target: null, hp: 0,
+                position: new Vec3(), prevPosition: new Vec3(), velocity: new Vec3(),
+                ...this.describeAgent(info) };
+        } else {
+            proxy = { id, kind, active: true, type: info.type, color: info.color,
+                pos: new Vec3(), prevPos: new Vec3(), vel: new Vec3() };
+        }
+        this.proxies.set(id, proxy);
+        return proxy;
+    }
+}
@@ -0,0 +1,86 @@
+// --- REMOTE SWARM ---
+// Main-thread handle on a SwarmManager stepped in core/swarmworker.js. It
+// exposes what the render layer reads (seed, events, counts) plus the latest
+// per-type instance matrices. Matrix buffers ping-pong between the threads as
+// transferables, so only one frame is in flight at a time; sim time that passes
+// while the worker is busy rolls into the next request.
+// SharedArrayBuffer would need cross-origin isolation headers that static hosts
+// such as GitHub Pages can't send, hence transfers.
+import { EventBus } from './events.js';
+
+export class RemoteSwarm {
+    // options are passed straight to the SwarmManager; options.seed is required
+    // so the page can show it before the worker replies
+    constructor(count, options, step = 1 / 60) {
+        this.seed = options.seed >>> 0;
+        this.events = new EventBus();
+        this.capacity = 0;
+        this.liveCount = count;
+        this.counts = [0, 0, 0]; // Live ships per type id, as of the last frame
+        this.matrices = [new Float32Array(0), new Float32Array(0), new Float32Array(0)];
+        this.busy = false;
+        this.stale = false; // The frame in flight was stepped before a reset
+        this.pendingDt = 0;
+        this.steps = 0; // Fixed steps the worker ran for the last frame
+
+        this.worker = new Worker(new URL('./swarmworker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = e => this.receive(e.data);
+        this.worker.postMessage({ type: 'init', count, options, step });
+    }
+
+    // Feed scaled frame time; the worker runs the fixed steps, or with `hold` only counts
+    // them, leaving the swarm where it is
+    advance(dt, hold = false) {
+        this.pendingDt += dt;
+        if(this.busy) return;
+
+        this.busy = true;
+        const matrices = this.matrices;
+        this.matrices = null; // Detached until the worker sends them back
+        this.worker.postMessage({ type: 'frame', dt: this.pendingDt, hold, matrices }, matrices.map(m => m.buffer));
+        this.pendingDt = 0;
+    }
+
+    addAgents(amount) {
+        this.worker.postMessage({ type: 'reinforce', amount });
+    }
+
+    // Starts the worker's swarm over on `seed`. Counts read zero until its first fresh frame.
+    reset(seed) {
+        this.seed = seed >>> 0;
+        this.stale = this.busy;
+        this.counts = [0, 0, 0];
+        this.pendingDt = 0;
+        this.worker.postMessage({ type: 'reset', seed: this.seed });
+        this.events.emit('reset', this);
+    }
+
+    typeCounts() {
+        return { 0: this.counts[0], 1: this.counts[1], 2: this.counts[2] };
+    }
+
+    receive(data) {
+        this.busy = false;
+        this.matrices = data.matrices;
+        if(this.stale) {
+            this.stale = false; // Only the buffers are worth keeping
+            return;
+        }
+        this.steps = data.steps;
+        this.counts = data.counts;
+        this.liveCount = data.liveCount;
+
+        if(data.capacity !== this.capacity) {
+            this.capacity = data.capacity;
+            this.events.emit('capacityChanged', { capacity: this.capacity });
+        }
+        for(const e of data.events) this.events.emit(e.name, e.payload);
+
+        // Matrices are only readable until the next advance() hands them back
+        this.events.emit('frame', this);
+    }
+
+    terminate() {
+        this.worker.terminate();
+    }
+}
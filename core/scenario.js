@@ -0,0 +1,339 @@
+import { Vec3 } from './math.js';
+import { CONFIG as MULTIDOMAIN, MultiDomainBattle } from './multidomain.js';
+import { CONFIG as SQUADRON, SquadronBattle } from './squadron.js';
+import { FORMATIONS } from './formations.js';
+import { validateDoctrine } from './ai.js';
+import { controllerNames } from './controllers.js';
+import { leader } from './match.js';
+
+// --- SCENARIOS (Declarative battle setups) ---
+// A scenario is a JSON file naming the variant, the teams taking part, their
+// starting forces, terrain, a reinforcement schedule and victory conditions.
+// loadScenario() checks the whole file and reports every problem at once; a
+// ScenarioDirector then plays it out through the battle's own spawn calls, so
+// scenario battles stay seeded and recordable like any other.
+
+export const SCENARIO_FORMAT = 'dogfight-scenario';
+export const SCENARIO_VERSION = 1;
+
+const OBSTACLE_TYPES = ['LAND_OBSTACLE', 'SEA_OBSTACLE'];
+const VICTORY_TYPES = ['elimination', 'score', 'survive', 'time'];
+
+const vec = p => p && new Vec3(...p);
+
+// What each battle variant offers a scenario
+const VARIANTS = {
+    multidomain: {
+        config: MULTIDOMAIN,
+        terrain: true,
+        projectiles: true,
+        create: (seed, scenario) => new MultiDomainBattle(seed, {
+            obstacles: scenario.obstacles, friendlyFire: scenario.friendlyFire,
+            loadouts: teamLoadouts(scenario), doctrines: teamDoctrines(scenario), controllers: teamControllers(scenario)
+        }),
+        spawn: (battle, f) => battle.spawnBatch(f.team, f.count, { unit: f.unit, position: vec(f.position), formation: f.formation }),
+        scores: battle => battle.scores
+    },
+    squadron: {
+        config: SQUADRON,
+        terrain: false,
+        projectiles: false,
+        create: (seed, scenario) => new SquadronBattle(seed, {
+            autoReinforce: false, loadouts: teamLoadouts(scenario), doctrines: teamDoctrines(scenario),
+            controllers: teamControllers(scenario)
+        }),
+        spawn: (battle, f) => battle.spawnFormation(f.team, { unit: f.unit, count: f.count, position: vec(f.position), formation: f.formation }),
+        scores: battle => battle.kills
+    }
+};
+
+// Per-team loadout overrides declared under "teams"
+const teamLoadouts = scenario => Object.fromEntries(
+    Object.entries(scenario.teams).map(([key, team]) => [key, team.loadout || {}])
+);
+
+// Per-team AI doctrines declared under "teams"; teams without one keep the variant's
+const teamDoctrines = scenario => Object.fromEntries(
+    Object.entries(scenario.teams).filter(([, team]) => team.doctrine).map(([key, team]) => [key, team.doctrine])
+);
+
+// Per-team controller names declared under "teams"; teams without one keep the variant's
+const teamControllers = scenario => Object.fromEntries(
+    Object.entries(scenario.teams).filter(([, team]) => team.controller).map(([key, team]) => [key, team.controller])
+);
+
+// Thrown for anything wrong with a scenario file; `errors` lists one line per problem
+export class ScenarioError extends Error {
+    constructor(source, errors) {
+        const plural = errors.length === 1 ? 'problem' : 'problems';
+        super(`Scenario ${source ? `"${source}" ` : ''}has ${errors.length} ${plural}:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+        this.name = 'ScenarioError';
+        this.errors = errors;
+    }
+}
+
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+const isVec3 = v => Array.isArray(v) && v.length === 3 && v.every(isNumber);
+const oneOf = list => list.map(s => `"${s}"`).join(', ');
+
+// Every problem with `data`, as "path: message" lines. Empty means valid.
+export function validateScenario(data) {
+    const errors = [];
+    const fail = (path, message) => errors.push(`${path}: ${message}`);
+
+    if(!isObject(data)) {
+        fail('scenario', 'must be a JSON object');
+        return errors;
+    }
+    if(data.format !== undefined && data.format !== SCENARIO_FORMAT) fail('format', `must be "${SCENARIO_FORMAT}"`);
+    if(data.version !== undefined && !(Number.isInteger(data.version) && data.version >= 1 && data.version <= SCENARIO_VERSION)) {
+        fail('version', `this build reads versions 1 to ${SCENARIO_VERSION}`);
+    }
+    if(typeof data.name !== 'string' || !data.name) fail('name', 'required, a non-empty string');
+    if(data.seed !== undefined && !(Number.isInteger(data.seed) && data.seed >= 0 && data.seed <= 0xFFFFFFFF)) {
+        fail('seed', 'must be an integer from 0 to 4294967295');
+    }
+
+    const variant = VARIANTS[data.variant];
+    if(!variant) {
+        fail('variant', `must be one of ${oneOf(Object.keys(VARIANTS))}`);
+        return errors; // Everything below depends on the variant's teams and units
+    }
+    const config = variant.config;
+
+    // { [unit]: { fuel, magazines: { [weapon kind]: rounds } } }, for units the variant fields
+    const checkLoadout = (loadout, path) => {
+        if(!isObject(loadout)) return fail(path, 'must be an object keyed by unit');
+        Object.entries(loadout).forEach(([unit, entry]) => {
+            const at = `${path}.${unit}`;
+            const type = config.units[unit];
+            if(!type) return fail(at, `unknown ${data.variant} unit, expected one of ${oneOf(Object.keys(config.units))}`);
+            if(!isObject(entry)) return fail(at, 'must be an object');
+            if(entry.fuel !== undefined && !(isNumber(entry.fuel) && entry.fuel >= 0)) fail(`${at}.fuel`, 'must be a number of seconds, 0 for unlimited');
+            if(entry.magazines === undefined) return;
+            if(!isObject(entry.magazines)) return fail(`${at}.magazines`, 'must be an object keyed by weapon kind');
+            const kinds = type.weapons.map(w => w.kind);
+            Object.entries(entry.magazines).forEach(([kind, rounds]) => {
+                if(!kinds.includes(kind)) fail(`${at}.magazines.${kind}`, `${unit} carries ${oneOf(kinds)}`);
+                else if(!(Number.isInteger(rounds) && rounds >= 0)) fail(`${at}.magazines.${kind}`, 'must be a whole number of rounds, 0 for unlimited');
+            });
+        });
+    };
+
+    // TEAMS
+    const teamKeys = Object.keys(config.teams);
+    if(!isObject(data.teams) || Object.keys(data.teams).length === 0) {
+        fail('teams', `declare at least one of ${oneOf(teamKeys)}`);
+    } else {
+        Object.entries(data.teams).forEach(([key, team]) => {
+            if(!teamKeys.includes(key)) fail(`teams.${key}`, `unknown team, expected one of ${oneOf(teamKeys)}`);
+            else if(!isObject(team)) fail(`teams.${key}`, 'must be an object');
+            else {
+                if(team.name !== undefined && typeof team.name !== 'string') fail(`teams.${key}.name`, 'must be a string');
+                if(team.loadout !== undefined) checkLoadout(team.loadout, `teams.${key}.loadout`);
+                if(team.doctrine !== undefined) errors.push(...validateDoctrine(team.doctrine, `teams.${key}.doctrine`));
+                if(team.controller !== undefined && !controllerNames().includes(team.controller)) {
+                    fail(`teams.${key}.controller`, `must be one of ${oneOf(controllerNames())}`);
+                }
+            }
+        });
+    }
+    const declared = isObject(data.teams) ? Object.keys(data.teams).filter(k => teamKeys.includes(k)) : [];
+
+    const checkTeam = (path, team) => {
+        if(!declared.includes(team)) fail(path, `must be a team declared under "teams" (${oneOf(declared)})`);
+    };
+
+    const checkForce = (f, path) => {
+        if(!isObject(f)) return fail(path, 'must be an object');
+        checkTeam(`${path}.team`, f.team);
+        if(f.unit !== undefined && !config.units[f.unit]) {
+            fail(`${path}.unit`, `unknown ${data.variant} unit, expected one of ${oneOf(Object.keys(config.units))}`);
+        }
+        if(!Number.isInteger(f.count) || f.count < 1) fail(`${path}.count`, 'required, a whole number of at least 1');
+        if(f.position !== undefined && !isVec3(f.position)) fail(`${path}.position`, 'must be [x, y, z]');
+        if(f.formation !== undefined) {
+            if(!FORMATIONS.includes(f.formation)) fail(`${path}.formation`, `must be one of ${oneOf(FORMATIONS)}`);
+            else if(f.position === undefined && data.variant === 'multidomain') fail(`${path}.formation`, 'needs a position to form up on');
+        }
+    };
+
+    // TERRAIN
+    if(data.obstacles !== undefined) {
+        if(!variant.terrain) fail('obstacles', `${data.variant} battles have no terrain`);
+        else if(!Array.isArray(data.obstacles)) fail('obstacles', 'must be an array');
+        else data.obstacles.forEach((o, i) => {
+            const path = `obstacles[${i}]`;
+            if(!isObject(o)) return fail(path, 'must be an object');
+            if(!OBSTACLE_TYPES.includes(o.type)) return fail(`${path}.type`, `must be one of ${oneOf(OBSTACLE_TYPES)}`);
+            if(!isVec3(o.position)) fail(`${path}.position`, 'required, [x, y, z]');
+            if(o.type === 'LAND_OBSTACLE' && !(isVec3(o.size) && o.size.every(n => n > 0))) fail(`${path}.size`, 'required, [width, height, depth] all above 0');
+            if(o.type === 'SEA_OBSTACLE' && !(isNumber(o.radius) && o.radius > 0)) fail(`${path}.radius`, 'required, a number above 0');
+        });
+    }
+
+    if(data.friendlyFire !== undefined) {
+        if(!variant.projectiles) fail('friendlyFire', `${data.variant} battles have no projectiles to stray`);
+        else if(typeof data.friendlyFire !== 'boolean') fail('friendlyFire', 'must be true or false');
+    }
+
+    // FORCES
+    if(!Array.isArray(data.forces) || data.forces.length === 0) fail('forces', 'list at least one starting force');
+    else data.forces.forEach((f, i) => checkForce(f, `forces[${i}]`));
+
+    if(data.reinforcements !== undefined) {
+        if(!Array.isArray(data.reinforcements)) fail('reinforcements', 'must be an array');
+        else data.reinforcements.forEach((r, i) => {
+            const path = `reinforcements[${i}]`;
+            checkForce(r, path);
+            if(!isObject(r)) return;
+            if(!(isNumber(r.at) && r.at >= 0)) fail(`${path}.at`, 'required, seconds from the start (0 or more)');
+            if(r.every !== undefined && !(isNumber(r.every) && r.every > 0)) fail(`${path}.every`, 'must be a number of seconds above 0');
+            if(r.repeat !== undefined) {
+                if(!Number.isInteger(r.repeat) || r.repeat < 1) fail(`${path}.repeat`, 'must be a whole number of at least 1');
+                else if(r.every === undefined && r.repeat > 1) fail(`${path}.repeat`, 'needs "every" to space the waves out');
+            }
+        });
+    }
+
+    // VICTORY
+    if(!Array.isArray(data.victory) || data.victory.length === 0) {
+        fail('victory', `list at least one condition (${oneOf(VICTORY_TYPES)})`);
+    } else {
+        data.victory.forEach((v, i) => {
+            const path = `victory[${i}]`;
+            if(!isObject(v)) return fail(path, 'must be an object');
+            if(!VICTORY_TYPES.includes(v.type)) return fail(`${path}.type`, `must be one of ${oneOf(VICTORY_TYPES)}`);
+            if(v.type === 'score') {
+                if(!Number.isInteger(v.target) || v.target < 1) fail(`${path}.target`, 'required, a whole number of at least 1');
+                if(v.team !== undefined) checkTeam(`${path}.team`, v.team);
+            }
+            if(v.type === 'survive') checkTeam(`${path}.team`, v.team);
+            if((v.type === 'survive' || v.type === 'time') && !(isNumber(v.time) && v.time > 0)) {
+                fail(`${path}.time`, 'required, seconds above 0');
+            }
+        });
+    }
+
+    return errors;
+}
+
+// Parses (if given text) and validates a scenario, throwing a ScenarioError
+// listing every problem. `variant` additionally rejects files meant for another sim.
+export function loadScenario(source, variant, label) {
+    let data = source;
+    if(typeof source === 'string') {
+        try {
+            data = JSON.parse(source);
+        } catch(e) {
+            throw new ScenarioError(label, [`JSON: ${e.message}`]);
+        }
+    }
+    const errors = validateScenario(data);
+    if(variant && isObject(data) && VARIANTS[data.variant] && data.variant !== variant) {
+        errors.push(`variant: expected a ${variant} scenario, not ${data.variant}`);
+    }
+    if(errors.length) throw new ScenarioError(label || (isObject(data) && data.name), errors);
+    return data;
+}
+
+export async function fetchScenario(url, variant) {
+    const response = await fetch(url);
+    if(!response.ok) throw new ScenarioError(url, [`could not load (HTTP ${response.status})`]);
+    return loadScenario(await response.text(), variant, url);
+}
+
+// Reads `?scenario=scenarios/file.json` from a query string, or null
+export function scenarioPathFromQuery(search) {
+    const match = /[?&]scenario=([^&]+)/.exec(search || '');
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+// A battle built for `scenario`: its terrain, and no built-in auto-spawning
+export function createScenarioBattle(scenario, seed) {
+    return VARIANTS[scenario.variant].create(seed, scenario);
+}
+
+// --- DIRECTOR (Spawns a scenario's forces on schedule and calls the result) ---
+export class ScenarioDirector {
+    constructor(battle, scenario) {
+        this.battle = battle;
+        this.scenario = scenario;
+        this.variant = VARIANTS[scenario.variant];
+        this.teams = Object.keys(scenario.teams);
+        this.finished = false;
+        this.winner = null;
+
+        battle.events.on('step', () => this.update());
+        battle.events.on('reset', () => this.start());
+    }
+
+    teamName(team) {
+        return this.scenario.teams[team].name || team;
+    }
+
+    // Deploys the starting forces; called again whenever the battle resets
+    start() {
+        this.finished = false;
+        this.winner = null;
+        this.decidedAt = null;
+        this.schedule = (this.scenario.reinforcements || []).map(r => ({
+            force: r,
+            next: r.at,
+            left: r.repeat !== undefined ? r.repeat : (r.every ? Infinity : 1)
+        }));
+        this.scenario.forces.forEach(f => this.variant.spawn(this.battle, f));
+        this.battle.events.emit('log', `SCENARIO: ${this.scenario.name.toUpperCase()}`);
+    }
+
+    update() {
+        if(this.finished) return;
+        const time = this.battle.time;
+
+        for(const wave of this.schedule) {
+            while(wave.left > 0 && time >= wave.next) {
+                this.variant.spawn(this.battle, wave.force);
+                this.battle.events.emit('log', `REINFORCEMENTS: ${this.teamName(wave.force.team).toUpperCase()} ENTERING SECTOR`);
+                wave.left--;
+                wave.next += wave.force.every || 0;
+            }
+        }
+        this.checkVictory(time);
+    }
+
+    // A team is still in the fight while it has units up or waves to come
+    inPlay(team, counts) {
+        return counts[team] > 0 || this.schedule.some(w => w.left > 0 && w.force.team === team);
+    }
+
+    checkVictory(time) {
+        const counts = this.battle.teamCounts();
+        const scores = this.variant.scores(this.battle);
+
+        for(const v of this.scenario.victory) {
+            let result; // undefined: not met yet, null: draw, else the winning team
+            if(v.type === 'elimination') {
+                const standing = this.teams.filter(team => this.inPlay(team, counts));
+                if(standing.length <= 1) result = standing.length ? standing[0] : null;
+            } else if(v.type === 'score') {
+                const reached = (v.team ? [v.team] : this.teams).find(team => scores[team] >= v.target);
+                if(reached) result = reached;
+            } else if(v.type === 'survive') {
+                if(time >= v.time && counts[v.team] > 0) result = v.team;
+            } else if(v.type === 'time') {
+                if(time >= v.time) result = leader(this.teams, scores);
+            }
+            if(result !== undefined) return this.finish(result, v.type);
+        }
+    }
+
+    finish(winner, reason) {
+        this.finished = true;
+        this.winner = winner;
+        this.decidedAt = this.battle.time;
+        const name = winner ? this.teamName(winner) : null;
+        this.battle.events.emit('victory', { winner, name, reason });
+        this.battle.events.emit('log', name ? `${name.toUpperCase()} VICTORY (${reason.toUpperCase()})` : `DRAW (${reason.toUpperCase()})`);
+    }
+}
@@ -0,0 +1,141 @@
+import { Vec3 } from './math.js';
+
+// --- SENSORS (Detection and each team's contact picture) ---
+// Units sweep their sensors every so often rather than knowing where every enemy
+// is. A sweep spots an enemy when it is within range, inside the search cone
+// around the nose, not hidden behind terrain, and passes a detection roll that
+// favours big signatures and short ranges. Sightings go into the team's
+// ContactPicture, shared by every unit on the team: a contact seen recently is a
+// track that can be engaged; an older one is only a last-known position.
+
+// Chance one sweep spots a target of `signature` (1 is fighter-sized) at `distance`
+export function detectionChance(signature, distance, range) {
+    if(distance > range) return 0;
+    const share = distance / range;
+    return Math.min(1, signature * (1 - share * share));
+}
+
+// Whether `to` sits inside a search cone of `cone` degrees half-angle around `heading`.
+// 180 searches all round, and so does a unit that isn't moving.
+export function inCone(from, heading, to, cone) {
+    if(cone >= 180 || heading.lengthSq() === 0) return true;
+    const los = new Vec3().subVectors(to, from);
+    return los.lengthSq() === 0 || heading.angleTo(los) <= cone * Math.PI / 180;
+}
+
+// One sweep by `observer`, whose registry entry is `stats`. Every enemy the broad-phase
+// grid finds in range that is inside the cone, in sight past `env`'s terrain (when given)
+// and passes the detection roll is reported to `picture`.
+export function sweep(observer, stats, { grid, rng, picture, time, env = null, statsOf }) {
+    const { range, cone } = stats.sensors;
+    const from = observer.position;
+    grid.forEachInRadius(from.x, from.y, from.z, range, (other, d2) => {
+        if(!other.alive || other.team === observer.team) return;
+        if(!inCone(from, observer.velocity, other.position, cone)) return;
+        if(env && env.blocksSight(from, other.position)) return;
+        if(rng.chance(detectionChance(statsOf(other).hull.signature, Math.sqrt(d2), range))) picture.report(other, time);
+    });
+}
+
+export class ContactPicture {
+    constructor(team) {
+        this.team = team;
+        this.contacts = new Map(); // Agent id -> { id, agent, unit, position, velocity, firstSeen, lastSeen }
+    }
+
+    // Records a sighting of `agent` at `time`
+    report(agent, time) {
+        let contact = this.contacts.get(agent.id);
+        if(!contact) {
+            contact = { id: agent.id, agent, team: agent.team, unit: agent.unit, position: new Vec3(), velocity: new Vec3(), firstSeen: time };
+            this.contacts.set(agent.id, contact);
+        }
+        contact.position.copy(agent.position);
+        contact.velocity.copy(agent.velocity);
+        contact.lastSeen = time;
+        return contact;
+    }
+
+    // Whether `agent` was seen within the last `trackTime` seconds
+    tracking(agent, time, trackTime) {
+        const contact = this.contacts.get(agent.id);
+        return !!contact && time - contact.lastSeen <= trackTime;
+    }
+
+    // Contacts seen within the last `maxAge` seconds
+    recent(time, maxAge) {
+        const out = [];
+        this.contacts.forEach(c => { if(time - c.lastSeen <= maxAge) out.push(c); });
+        return out;
+    }
+
+    // Forgets the destroyed and anything unseen for longer than `memory` seconds
+    prune(time, memory) {
+        this.contacts.forEach((c, id) => {
+            if(!c.agent.alive || time - c.lastSeen > memory) this.contacts.delete(id);
+        });
+    }
+
+    clear() {
+        this.contacts.clear();
+    }
+}
+
+// --- SONAR (Listening under water) ---
+// Radar stops at the sea surface, so below it units find each other by sound. Passive
+// sonar hears the noise a target makes, which rises with its speed: a sub creeping
+// along is hard to hear, one sprinting isn't. Active sonar pings and listens for the
+// echo off the hull, which finds quiet targets, but the ping itself carries twice as
+// far to anyone listening. A thermocline, a band where the water cools sharply, bends
+// sound away: across it, or into it, only a share of the sound gets through.
+
+export const PING_REACH = 2; // How much further a ping is heard than its echo comes back from
+const QUIET = 0.1; // Share of its top-speed noise a hull makes barely moving
+
+export class Thermocline {
+    // `top` and `bottom` are heights (negative, below the surface); `loss` is the share of
+    // sound that makes it through the layer
+    constructor({ top, bottom, loss }) {
+        this.top = top;
+        this.bottom = bottom;
+        this.loss = loss;
+    }
+
+    // Middle of the band, where a sub is hidden from listeners above and below it
+    get depth() {
+        return (this.top + this.bottom) / 2;
+    }
+
+    // Share of sound that travels from `a` to `b`
+    transmission(a, b) {
+        const across = (a.y > this.top) !== (b.y > this.top) || (a.y < this.bottom) !== (b.y < this.bottom);
+        return across ? this.loss : 1;
+    }
+}
+
+// Noise a hull rated `noise` at `topSpeed` makes at `speed`, rising with the square of speed
+export function radiatedNoise(noise, speed, topSpeed) {
+    const share = topSpeed > 0 ? Math.min(1, speed / topSpeed) : 0;
+    return noise * (QUIET + (1 - QUIET) * share * share);
+}
+
+// One passive sonar sweep from `position` out to `range`: every enemy below `seaLevel` the
+// grid finds may be heard, by how much noise reaches the hydrophone. Heard units go to `picture`.
+export function listen(position, team, range, { grid, rng, picture, time, layer, seaLevel, noiseOf }) {
+    grid.forEachInRadius(position.x, position.y, position.z, range, (other, d2) => {
+        if(!other.alive || other.team === team || other.position.y >= seaLevel) return;
+        const heard = noiseOf(other) * layer.transmission(position, other.position);
+        if(rng.chance(detectionChance(heard, Math.sqrt(d2), range))) picture.report(other, time);
+    });
+}
+
+// One active sonar ping by `pinger` out to `range`: an echo off an enemy hull below `seaLevel`
+// crosses the layer twice, so a target on the far side of it is very hard to find this way
+export function ping(pinger, range, { grid, rng, picture, time, layer, seaLevel, signatureOf }) {
+    const from = pinger.position;
+    grid.forEachInRadius(from.x, from.y, from.z, range, (other, d2) => {
+        if(!other.alive || other.team === pinger.team || other.position.y >= seaLevel) return;
+        const t = layer.transmission(from, other.position);
+        if(rng.chance(detectionChance(signatureOf(other) * t * t, Math.sqrt(d2), range))) picture.report(other, time);
+    });
+}
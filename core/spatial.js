@@ -0,0 +1,118 @@
+// --- SPATIAL GRID (Uniform broad-phase, rebuilt every tick) ---
+// Items are bucketed by cell with a copy of their position, so the same grid
+// works for agent objects and for typed-array swarm indices.
+
+const CELL_BIAS = 1024; // Supports +-1024 cells per axis in a collision-free integer key
+const CELL_SPAN = 2048;
+
+export class SpatialGrid {
+    constructor(cellSize = 100) {
+        this.cellSize = cellSize;
+        this.cells = new Map(); // key -> { items: [], coords: [x, y, z, ...] }
+        this.used = [];         // Cells holding items this tick, cleared on rebuild
+        this.size = 0;
+    }
+
+    cellIndex(v) { return Math.floor(v / this.cellSize); }
+
+    key(ix, iy, iz) {
+        return ((ix + CELL_BIAS) * CELL_SPAN + (iy + CELL_BIAS)) * CELL_SPAN + (iz + CELL_BIAS);
+    }
+
+    clear() {
+        for(const cell of this.used) {
+            cell.items.length = 0;
+            cell.coords.length = 0;
+        }
+        this.used.length = 0;
+        this.size = 0;
+    }
+
+    insert(item, x, y, z) {
+        const k = this.key(this.cellIndex(x), this.cellIndex(y), this.cellIndex(z));
+        let cell = this.cells.get(k);
+        if(!cell) {
+            cell = { items: [], coords: [] };
+            this.cells.set(k, cell);
+        }
+        if(cell.items.length === 0) this.used.push(cell);
+        cell.items.push(item);
+        cell.coords.push(x, y, z);
+        this.size++;
+    }
+
+    // Convenience for object lists: `getPos(item)` returns something with x/y/z
+    rebuild(items, getPos = item => item.position) {
+        this.clear();
+        for(const item of items) {
+            const p = getPos(item);
+            this.insert(item, p.x, p.y, p.z);
+        }
+    }
+
+    // Calls fn(item, distSq) for every item within radius of (x, y, z)
+    forEachInRadius(x, y, z, radius, fn) {
+        const r2 = radius * radius;
+        const x0 = this.cellIndex(x - radius), x1 = this.cellIndex(x + radius);
+        const y0 = this.cellIndex(y - radius), y1 = this.cellIndex(y + radius);
+        const z0 = this.cellIndex(z - radius), z1 = this.cellIndex(z + radius);
+        for(let ix = x0; ix <= x1; ix++) {
+            for(let iy = y0; iy <= y1; iy++) {
+                for(let iz = z0; iz <= z1; iz++) {
+                    const cell = this.cells.get(this.key(ix, iy, iz));
+                    if(!cell) continue;
+                    const { items, coords } = cell;
+                    for(let i = 0; i < items.length; i++) {
+                        const dx = coords[i*3] - x, dy = coords[i*3+1] - y, dz = coords[i*3+2] - z;
+                        const d2 = dx * dx + dy * dy + dz * dz;
+                        if(d2 <= r2) fn(items[i], d2);
+                    }
+                }
+            }
+        }
+    }
+
+    queryRadius(position, radius, filter, out = []) {
+        this.forEachInRadius(position.x, position.y, position.z, radius, item => {
+            if(!filter || filter(item)) out.push(item);
+        });
+        return out;
+    }
+
+    // Closest item passing `filter` within maxRange, searched shell by shell outward
+    nearest(position, maxRange, filter) {
+        const { x, y, z } = position;
+        const cx = this.cellIndex(x), cy = this.cellIndex(y), cz = this.cellIndex(z);
+        const maxShell = Math.ceil(maxRange / this.cellSize) + 1;
+        const range2 = maxRange * maxRange;
+        let best = null;
+        let bestD2 = range2;
+
+        for(let shell = 0; shell <= maxShell; shell++) {
+            for(let ix = cx - shell; ix <= cx + shell; ix++) {
+                for(let iy = cy - shell; iy <= cy + shell; iy++) {
+                    // Only the surface of this shell, the inside was searched already
+                    const onFace = Math.abs(ix - cx) === shell || Math.abs(iy - cy) === shell;
+                    const izStep = onFace || shell === 0 ? 1 : shell * 2;
+                    for(let iz = cz - shell; iz <= cz + shell; iz += izStep) {
+                        const cell = this.cells.get(this.key(ix, iy, iz));
+                        if(!cell) continue;
+                        const { items, coords } = cell;
+                        for(let i = 0; i < items.length; i++) {
+                            const dx = coords[i*3] - x, dy = coords[i*3+1] - y, dz = coords[i*3+2] - z;
+                            const d2 = dx * dx + dy * dy + dz * dz;
+                            if(d2 < bestD2 && (!filter || filter(items[i]))) {
+                                best = items[i];
+                                bestD2 = d2;
+                            }
+                        }
+                    }
+                }
+            }
+            // Anything in a further shell is at least `shell` whole cells away
+            const reach = shell * this.cellSize;
+            if(best && bestD2 <= reach * reach) break;
+        }
+        return best;
+    }
+}
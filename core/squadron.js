@@ -0,0 +1,558 @@
+import { Vec3 } from './math.js';
+import { EventBus } from './events.js';
+import { Random } from './random.js';
+import { SpatialGrid } from './spatial.js';
+import { Flight, formationPositions } from './formations.js';
+import { unitRoster } from './units.js';
+import { Stores, SORTIE, RTB, REARMING } from './logistics.js';
+import { Airframe } from './flight.js';
+import { StateMachine, makeDoctrine, offNose, breakTurn } from './ai.js';
+import { resolveController } from './controllers.js';
+import { ContactPicture, sweep } from './sensors.js';
+import { CombatLog } from './combatlog.js';
+
+// --- CONFIGURATION ---
+export const CONFIG = {
+    worldSize: 1000,
+    maxAgents: 333,
+    gridCellSize: 100, // Broad-phase cell edge
+    baseSpeed: 1.0, 
+    slowMoSpeed: 0.1,
+    fixedStep: 1 / 60, // Seconds of sim time per physics step
+    maxFrameDt: 0.25, // Longest frame fed to the loop, so a stalled tab doesn't jump the battle
+    reinforceInterval: 5, // Seconds of sim time between auto-spawned wings
+    wingSize: 12, // Ships per spawned formation
+    rearmTime: 8, // Seconds at base to refuel and rearm from empty
+    baseRadius: 40, // How close to base counts as docked
+    repairTime: 12, // Seconds docked for a retreating ship to repair from nothing
+    threatMemory: 0.5, // Seconds a shot at a ship keeps it feeling fired upon
+    scanInterval: 0.25, // Seconds between a ship's sensor sweeps
+    trackTime: 1.5, // Seconds a contact stays engageable after it was last seen
+    contactMemory: 15, // Seconds a lost contact stays on its team's picture, at its last-known position
+    assistWindow: 10, // Seconds a hit still counts toward a kill, see core/combatlog.js
+    contactFormation: 'LINE-ABREAST', // Flights spread out to this once the lead has a contact
+    leadThrottle: 0.75, // A lead with wingmen flies below full power so they can keep up
+    leadTurn: 0.06, // Largest heading change (radians) a lead asks for, so the outside of the turn keeps up
+    stationLead: 20, // Steps ahead of its slot a wingman aims, so it flies parallel to the lead
+    stationGain: 40, // Distance behind its slot at which a wingman is at full power
+    units: unitRoster(['INTERCEPTOR', 'DREADNOUGHT', 'VIPER']), // Stats live in core/units.js
+    // Victory rules for the browser sim's rounds, see core/match.js; the objective is a zone
+    // in the middle of the map
+    match: { scoreLimit: 60, timeLimit: 300, objective: { position: [0, 0, 0], radius: 150, holdTime: 60 }, bestOf: 3 },
+    // Each team docks at its `base` to rearm; `loadout` overrides the registry's fuel and
+    // magazines per class, e.g. { INTERCEPTOR: { fuel: 45, magazines: { LASER: 20 } } };
+    // `doctrine` tunes the AI state machine (see core/ai.js); `controller` names the pilot
+    // brain (see core/controllers.js)
+    teams: {
+        CYAN: { name: 'CYAN', color: 0x00f3ff, unit: 'INTERCEPTOR', base: [450, 0, 0], loadout: {}, doctrine: { params: { evadeTime: 1 } }, controller: 'fsm' },
+        MAGENTA: { name: 'MAGENTA', color: 0xff00ff, unit: 'DREADNOUGHT', base: [-225, 0, 390], loadout: {}, doctrine: { params: { retreatHp: 0.15, evadeAspect: 150 } }, controller: 'fsm' },
+        LIME: { name: 'LIME', color: 0xccff00, unit: 'VIPER', base: [-225, 0, -390], loadout: {}, doctrine: {}, controller: 'fsm' }
+    }
+};
+
+// A unit class flown in a team's colours; `unit` defaults to the team's own class
+export function unitConfig(teamKey, unit = CONFIG.teams[teamKey].unit) {
+    const team = CONFIG.teams[teamKey];
+    return { ...CONFIG.units[unit], name: team.name, color: team.color };
+}
+
+// AI states in which a flight holds formation. Wingmen break off to fight from Attack
+// on, or when they have to evade or retreat, and rejoin once back on patrol.
+const FORMATION_STATES = ['PATROL', 'ACQUIRE', 'INTERCEPT'];
+
+// --- CLASS: AGENT ---
+export class Agent {
+    constructor(battle, teamKey, position, velocity, unit = CONFIG.teams[teamKey].unit) {
+        this.battle = battle;
+        this.id = battle.nextId++;
+        this.team = teamKey;
+        this.unit = unit;
+        this.config = unitConfig(teamKey, unit);
+        this.alive = true;
+        this.hp = this.config.durability.hp;
+        this.stores = new Stores(this.config, battle.loadouts[teamKey][unit]);
+        this.home = new Vec3(...CONFIG.teams[teamKey].base);
+        this.target = null;
+        this.ai = new StateMachine(battle.doctrines[teamKey]);
+        this.threat = null; // Shooter being evaded
+        this.firedOnBy = null; // Last enemy to shoot at this ship, and when
+        this.firedOnAt = -Infinity;
+        this.threatAt = -Infinity;
+        this.memory = {}; // Notes kept by a custom controller between steps
+        this.label = null; // State a custom controller last reported
+        this.seen = new Map(); // Contacts in that last observation, by id
+        this.flight = null; // Flight it holds a slot in, if any
+        this.inFormation = false; // Flew its slot last step
+        this.scanTimer = (this.id % 4) / 4 * CONFIG.scanInterval; // Staggered, so sweeps spread over steps
+        
+        // Physics
+        this.position = position.clone();
+        this.prevPosition = position.clone(); // For render interpolation
+        this.velocity = velocity.clone();
+        this.airframe = this.config.aero ? new Airframe(this.config, this.velocity) : null;
+    }
+
+    update(dt) {
+        if (!this.alive) return;
+        this.prevPosition.copy(this.position);
+
+        // 0. Logistics: Docked ships sit out the rearm
+        if (this.updateStores(dt)) return;
+
+        // A custom controller flies sorties; logistics trips stay with the built-in AI
+        const brain = this.battle.controllers[this.team];
+        if (!brain.builtin && this.stores.mode === SORTIE) {
+            this.follow(brain, dt);
+            return;
+        }
+
+        // 1. AI: Senses and state
+        this.think(dt);
+        const state = this.ai.state;
+
+        // 2. Steering Logic
+        const desiredDirection = new Vec3();
+        
+        this.inFormation = !!this.flight && this.holdingFormation();
+        if (this.inFormation && this.flight.leader !== this) {
+            // Wingman: fly the slot
+            this.keepStation(dt);
+            return;
+        } else if (state === 'EVADE' && !this.stores.bingo) {
+            // Break and jink out of the shooter's line of fire, reversing every jinkPeriod
+            const jink = Math.floor(this.ai.time / this.ai.params.jinkPeriod) % 2 ? 1 : -1;
+            desiredDirection.copy(breakTurn(this.position, this.threat.position, this.threat.velocity, jink));
+        } else if (this.stores.mode === RTB || state === 'RETREAT') {
+            // Return To Base (a retreat stays docked to repair; on bingo fuel, even under fire)
+            desiredDirection.subVectors(this.home, this.position).normalize();
+            if (state === 'RETREAT' && this.repair(dt)) return;
+            if (this.airframe) this.airframe.limitClimb(desiredDirection, this.velocity);
+        } else if (this.target) {
+            // Acquire, Intercept and Attack: lead pursuit
+            const leadPos = this.target.position.clone().add(this.target.velocity.clone().multiplyScalar(10));
+            desiredDirection.subVectors(leadPos, this.position).normalize();
+            
+            // Fire Weapon (Only in Attack, inside weapon range and roughly nose-on)
+            const dist = this.position.distanceTo(this.target.position);
+            const angle = this.velocity.angleTo(desiredDirection);
+            if(state === 'ATTACK' && dist < this.config.weapons[0].range && angle < 0.4) this.fire(dt);
+        } else {
+            // Patrol / Return to center
+            if (this.position.length() > CONFIG.worldSize / 2) {
+                desiredDirection.subVectors(new Vec3(0,0,0), this.position).normalize();
+            } else {
+                desiredDirection.copy(this.velocity).normalize();
+            }
+        }
+
+        // A lead holding formation eases off and turns gently so its wingmen can keep up
+        const leading = this.inFormation && this.flight.leader === this;
+        if (leading && this.velocity.angleTo(desiredDirection) > CONFIG.leadTurn) {
+            const heading = this.velocity.clone().normalize();
+            const side = desiredDirection.clone().addScaledVector(heading, -heading.dot(desiredDirection));
+            if (heading.dot(desiredDirection) < -0.9) side.crossVectors(heading, new Vec3(0, 1, 0)); // Reversing: turn flat
+            if (side.lengthSq() < 1e-6) side.set(1, 0, 0);
+            desiredDirection.copy(heading).multiplyScalar(Math.cos(CONFIG.leadTurn)).addScaledVector(side.normalize(), Math.sin(CONFIG.leadTurn));
+        }
+        this.steer(desiredDirection, dt, leading ? CONFIG.leadThrottle : 1);
+    }
+
+    // Applies physics toward a unit direction (bank, pull and trade speed for the turn)
+    steer(desiredDirection, dt, throttle = 1) {
+        if (this.airframe) {
+            this.airframe.fly(this.velocity, desiredDirection, dt, throttle);
+        } else {
+            const currentDir = this.velocity.clone().normalize();
+            const { speed, turn } = this.config.mobility;
+            currentDir.lerp(desiredDirection, turn * dt * 60);
+            this.velocity.copy(currentDir).setLength(speed);
+        }
+        this.position.add(this.velocity.clone().multiplyScalar(dt * 60));
+    }
+
+    // Whether this ship holds its place in the flight: it and its lead are both out on the
+    // sortie and neither is in the thick of a fight. Wingmen only rejoin from patrol, so
+    // one already off fighting isn't pulled back by a fresh contact.
+    holdingFormation() {
+        const leader = this.flight.leader;
+        const state = this.ai.state;
+        if (this.stores.mode !== SORTIE || leader.stores.mode !== SORTIE) return false;
+        if (!FORMATION_STATES.includes(state) || !FORMATION_STATES.includes(leader.ai.state)) return false;
+        return leader === this || state === 'PATROL' || this.inFormation;
+    }
+
+    // Flies toward a point just ahead of its slot, opening or closing the throttle to
+    // hold station along the lead's heading
+    keepStation(dt) {
+        const leader = this.flight.leader;
+        const slot = this.flight.slotPosition(this);
+        const behind = slot.clone().sub(this.position).dot(leader.velocity.clone().normalize());
+        const throttle = Math.max(0.2, Math.min(1, CONFIG.leadThrottle + behind / CONFIG.stationGain));
+        const desiredDirection = slot.addScaledVector(leader.velocity, CONFIG.stationLead).sub(this.position).normalize();
+        this.steer(desiredDirection, dt, throttle);
+    }
+
+    // Burns fuel and heads for base on an empty magazine or bingo fuel; refuels and rearms
+    // once docked. Returns true while docked.
+    updateStores(dt) {
+        const stores = this.stores;
+        const distance = this.position.distanceTo(this.home);
+        if (stores.mode !== SORTIE && distance <= CONFIG.baseRadius) {
+            if (stores.replenish(dt, CONFIG.rearmTime)) this.battle.events.emit('rearmed', { agent: this });
+            return stores.mode === REARMING;
+        }
+
+        const reason = stores.update(dt, this.timeHome(distance));
+        if (reason) this.battle.events.emit('rtb', { agent: this, reason });
+        if (stores.outOfFuel) {
+            this.battle.registerKill(this, 'FUEL');
+            this.explode(); // Flamed out short of base
+            return true;
+        }
+        return false;
+    }
+
+    // Seconds to get home from `distance` out: turning about, then the trip at full
+    // throttle, or the climb back up if that takes longer
+    timeHome(distance) {
+        const { speed, turn } = this.config.mobility;
+        if (!this.airframe) return Math.PI / (turn * 60) + distance / (speed * 60);
+        const climb = Math.max(0, this.home.y - this.position.y) / (this.airframe.climbRate() * 60);
+        return this.airframe.reverseTime(speed) + Math.max(distance / (speed * 60), climb);
+    }
+
+    // Sweeps the sensors when one is due, adding what it spots to the team's picture
+    scan(dt) {
+        this.scanTimer -= dt;
+        if (this.scanTimer > 0) return;
+        this.scanTimer += CONFIG.scanInterval;
+        const battle = this.battle;
+        sweep(this, this.config, {
+            grid: battle.grid, rng: battle.rng, picture: battle.pictures[this.team], time: battle.time,
+            statsOf: a => a.config
+        });
+    }
+
+    // Whether the team holds a track on `agent`, so it can be engaged
+    tracking(agent) {
+        return this.battle.pictures[this.team].tracking(agent, this.battle.time, CONFIG.trackTime);
+    }
+
+    // Nearest living, tracked enemy within sensor range, via the battle's broad-phase grid
+    findTarget() {
+        this.target = this.battle.grid.nearest(this.position, this.config.sensors.range,
+            other => other !== this && other.alive && other.team !== this.team && this.tracking(other));
+    }
+
+    // What the state machine sees this step, then one transition at most
+    think(dt) {
+        const range = this.config.sensors.range;
+        const t = this.target;
+        if (t && (!t.alive || !this.tracking(t) || t.position.distanceToSquared(this.position) > range * range)) this.target = null;
+        if (!this.target) this.findTarget();
+
+        // Being shot at from outside the nose cone, where it can't shoot back
+        const shooter = this.firedOnBy;
+        const threatened = shooter && shooter.alive && this.battle.time - this.firedOnAt <= CONFIG.threatMemory
+            && offNose(this.position, this.velocity, shooter.position, this.ai.params.evadeAspect);
+        if (threatened) {
+            this.threat = shooter;
+            this.threatAt = this.battle.time;
+        }
+
+        const target = this.target;
+        const change = this.ai.update(dt, {
+            target,
+            targetDistance: target ? this.position.distanceTo(target.position) : Infinity,
+            weaponRange: this.config.weapons[0].range,
+            threat: threatened ? shooter : null,
+            sinceThreat: this.battle.time - this.threatAt,
+            hp: this.hp / this.config.durability.hp,
+            mobile: true
+        });
+        if (change) this.battle.events.emit('state', { agent: this, ...change });
+    }
+
+    // Patches up a retreating ship once it's docked. Returns true while it sits there.
+    repair(dt) {
+        if (this.position.distanceTo(this.home) > CONFIG.baseRadius) return false;
+        const hp = this.config.durability.hp;
+        this.hp = Math.min(hp, this.hp + hp * dt / CONFIG.repairTime);
+        return true;
+    }
+
+    // Asks a custom controller what to do and carries it out. Guns still only fire
+    // in range and roughly nose-on.
+    follow(brain, dt) {
+        const command = brain.decide(this.observe(), dt) || {};
+        if (command.state !== undefined && command.state !== this.label) {
+            this.battle.events.emit('state', { agent: this, from: this.label, to: command.state });
+            this.label = command.state;
+        }
+
+        const desiredDirection = new Vec3();
+        if (command.steer) desiredDirection.set(...(Array.isArray(command.steer) ? command.steer : [command.steer.x, command.steer.y, command.steer.z]));
+        if (desiredDirection.lengthSq() === 0) desiredDirection.copy(this.velocity);
+        desiredDirection.normalize();
+
+        this.target = (command.target !== undefined && this.seen.get(command.target)) || null;
+        const weapon = this.config.weapons[0];
+        const wanted = command.fire === true || (Array.isArray(command.fire) && command.fire.includes(weapon.kind));
+        if (wanted && this.target) {
+            const toTarget = this.target.position.clone().sub(this.position);
+            if (toTarget.length() < weapon.range && this.velocity.angleTo(toTarget) < 0.4) this.fire(dt);
+        }
+        this.steer(desiredDirection, dt);
+    }
+
+    // What a custom controller gets to see (see core/controllers.js). Open space, so
+    // there are no obstacles, and guns leave nothing in flight to warn of. Contacts come
+    // off the team's picture; tracked ones it may name as a target are kept in this.seen.
+    observe() {
+        const range = this.config.sensors.range;
+        const allies = [];
+        this.seen = new Map();
+        this.battle.grid.forEachInRadius(this.position.x, this.position.y, this.position.z, range, (a, d2) => {
+            if (a === this || !a.alive || a.team !== this.team) return;
+            allies.push({
+                id: a.id, team: a.team, unit: a.unit, domain: a.config.domain,
+                position: a.position.clone(), velocity: a.velocity.clone(), distance: Math.sqrt(d2), hp: a.hp
+            });
+        });
+        const time = this.battle.time;
+        const contacts = [];
+        this.battle.pictures[this.team].recent(time, CONFIG.contactMemory).forEach(c => {
+            const distance = c.position.distanceTo(this.position);
+            if (distance > range) return;
+            const age = time - c.lastSeen;
+            const tracked = age <= CONFIG.trackTime;
+            if (tracked) this.seen.set(c.id, c.agent);
+            contacts.push({
+                id: c.id, team: c.team, unit: c.unit, domain: c.agent.config.domain,
+                position: c.position.clone(), velocity: c.velocity.clone(), distance,
+                hp: tracked ? c.agent.hp : null, age, tracked
+            });
+        });
+        const nearest = (a, b) => a.distance - b.distance;
+
+        const stores = this.stores;
+        return {
+            time: this.battle.time,
+            memory: this.memory,
+            self: {
+                id: this.id, team: this.team, unit: this.unit, domain: this.config.domain,
+                position: this.position.clone(), velocity: this.velocity.clone(),
+                hp: this.hp, maxHp: this.config.durability.hp,
+                speed: this.config.mobility.speed, sensorRange: range,
+                fuel: stores.fuelCapacity > 0 ? stores.fuel : null,
+                home: this.home.clone(),
+                weapons: this.config.weapons.map((w, i) => ({
+                    kind: w.kind, range: w.range, targets: [...w.targets],
+                    rounds: stores.magazines[i] > 0 ? Math.floor(stores.ammo[i]) : null
+                }))
+            },
+            contacts: contacts.sort(nearest),
+            allies: allies.sort(nearest),
+            threats: [],
+            obstacles: []
+        };
+    }
+
+    // AI state for HUDs and logs; logistics trips show as RTB and REARMING, and a custom
+    // controller shows whatever it last reported
+    get state() {
+        if (this.stores.mode !== SORTIE) return this.stores.mode;
+        return this.battle.controllers[this.team].builtin ? this.ai.state : this.label;
+    }
+
+    // Fires at the weapon's reload rate on average; misses streak past the target
+    fire(dt) {
+        const weapon = this.config.weapons[0];
+        const rng = this.battle.rng;
+        if(!this.stores.canFire(0) || !rng.chance(dt / weapon.reload)) return;
+        this.stores.expend(0);
+
+        const hit = rng.chance(weapon.accuracy);
+        const to = this.target.position.clone();
+        if(!hit) to.add(new Vec3(rng.range(-15, 15), rng.range(-15, 15), rng.range(-15, 15)));
+        this.battle.events.emit('laser', { from: this.position.clone(), to, color: this.config.color, shooter: this });
+        this.target.firedOnBy = this;
+        this.target.firedOnAt = this.battle.time;
+
+        // Damage
+        if(hit) this.target.takeDamage(weapon.damage, weapon.kind, this);
+    }
+
+    // `shooter` is the ship whose `type` of weapon hit
+    takeDamage(amount, type, shooter) {
+        this.hp -= amount;
+        this.battle.combat.hit(this, shooter, type, amount, this.battle.time);
+        this.battle.events.emit('damage', { agent: this, amount, type, shooter, team: shooter.team });
+
+        if(this.hp <= 0 && this.alive) {
+            this.battle.registerKill(this, type);
+            this.explode();
+        }
+    }
+
+    explode() {
+        this.alive = false;
+        this.battle.events.emit('explosion', { agent: this, position: this.position.clone(), color: this.config.color, scale: this.config.durability.blast });
+    }
+}
+
+// --- BATTLE (Headless squadron engagement) ---
+export class SquadronBattle {
+    // options.autoReinforce: false hands reinforcements to a scenario schedule;
+    // options.loadouts overrides team loadouts class by class; options.doctrines
+    // replaces team doctrines; options.controllers picks team pilot brains
+    constructor(seed, options = {}) {
+        this.autoReinforce = options.autoReinforce !== false;
+        this.loadouts = {};
+        this.doctrines = {};
+        this.controllers = {};
+        this.pictures = {}; // What each team's sensors have seen, see core/sensors.js
+        Object.entries(CONFIG.teams).forEach(([team, t]) => {
+            this.loadouts[team] = { ...t.loadout, ...(options.loadouts && options.loadouts[team]) };
+            this.doctrines[team] = makeDoctrine((options.doctrines && options.doctrines[team]) || t.doctrine);
+            this.setController(team, (options.controllers && options.controllers[team]) || t.controller);
+            this.pictures[team] = new ContactPicture(team);
+        });
+        this.rng = new Random(seed);
+        this.seed = this.rng.seed;
+        this.nextId = 1;
+        this.nextFlightId = 1;
+        this.events = new EventBus();
+        this.grid = new SpatialGrid(CONFIG.gridCellSize);
+        this.agents = [];
+        this.flights = [];
+        this.combat = new CombatLog(Object.keys(CONFIG.teams), CONFIG.assistWindow); // Kill records, kills and stats
+        this.time = 0;
+        this.tick = 0;
+        this.reinforceTimer = 0;
+    }
+
+    // Hands a team to a registered controller (by name) or a controller object
+    setController(team, controller) {
+        this.controllers[team] = resolveController(controller);
+    }
+
+    // options: unit, count, formation, and position (a Vec3) to skip the random edge spawn
+    spawnFormation(team, options = {}) {
+        const spawned = [];
+        if(this.agents.length >= CONFIG.maxAgents) return spawned;
+
+        const unit = options.unit || CONFIG.teams[team].unit;
+        const count = options.count || CONFIG.wingSize;
+        const formation = options.formation || CONFIG.units[unit].formation;
+        const rng = this.rng;
+
+        // Spawn Location (Random Edge)
+        let spawnCenter = options.position;
+        if(!spawnCenter) {
+            const angle = rng.next() * Math.PI * 2;
+            const radius = CONFIG.worldSize * 0.4;
+            spawnCenter = new Vec3(Math.cos(angle)*radius, (rng.next()-0.5)*100, Math.sin(angle)*radius);
+        }
+        
+        // Velocity (Towards center)
+        const velocity = new Vec3().subVectors(new Vec3(0,0,0), spawnCenter).normalize();
+        if(velocity.lengthSq() === 0) velocity.set(0, 0, 1);
+
+        for(const pos of formationPositions(formation, spawnCenter, velocity, count, rng)) {
+            const agent = new Agent(this, team, pos, velocity, unit);
+            this.agents.push(agent);
+            spawned.push(agent);
+            this.events.emit('agentAdded', agent);
+        }
+        if(spawned.length > 1) {
+            const flight = new Flight(this.nextFlightId++, spawned, formation, rng, a => a.stores.mode === SORTIE && a.ai.state !== 'RETREAT');
+            spawned.forEach(a => { a.flight = flight; });
+            this.flights.push(flight);
+        }
+        return spawned;
+    }
+
+    // Hands on the lead when it's lost, switches formation on contact, and disbands
+    // flights down to one ship
+    updateFlights() {
+        this.flights = this.flights.filter(flight => {
+            const leader = flight.update();
+            if(flight.members.length < 2) {
+                flight.members.forEach(a => { a.flight = null; });
+                return false;
+            }
+            if(leader) this.events.emit('lead', { flight, agent: leader });
+            const formation = flight.leader.ai.state === 'PATROL' ? flight.cruise : CONFIG.contactFormation;
+            if(flight.setFormation(formation)) this.events.emit('formation', { flight, formation });
+            return true;
+        });
+    }
+
+    get kills() {
+        return this.combat.scores;
+    }
+
+    // Writes up `victim`'s death from `cause`; the combat log decides who scores
+    registerKill(victim, cause) {
+        const record = this.combat.kill(victim, cause, this.time);
+        this.events.emit('kill', { record, kills: this.kills });
+    }
+
+    // Auto-Spawn Loop (driven by sim time so headless runs behave like the browser)
+    updateReinforcements(dt) {
+        if(!this.autoReinforce) return;
+        this.reinforceTimer += dt;
+        if(this.reinforceTimer < CONFIG.reinforceInterval) return;
+        this.reinforceTimer -= CONFIG.reinforceInterval;
+
+        if(this.agents.length < CONFIG.maxAgents) {
+            const teams = ['CYAN', 'MAGENTA', 'LIME'];
+            const r = this.rng.pick(teams);
+            this.spawnFormation(r);
+            this.events.emit('log', `REINFORCEMENTS: ${r} WING ENTERING SECTOR`);
+        }
+    }
+
+    update(dt) {
+        this.time += dt;
+        this.tick++;
+        this.updateReinforcements(dt);
+
+        // Update Agents
+        this.agents = this.agents.filter(a => a.alive);
+        this.grid.rebuild(this.agents);
+        this.updateFlights();
+
+        // Sensors first, so every ship acts on the same picture
+        this.agents.forEach(agent => agent.scan(dt));
+        Object.values(this.pictures).forEach(p => p.prune(this.time, CONFIG.contactMemory));
+        this.agents.forEach(agent => agent.update(dt));
+
+        this.events.emit('step', this);
+    }
+
+    teamCounts() {
+        const counts = { CYAN: 0, MAGENTA: 0, LIME: 0 };
+        this.agents.forEach(a => { if(a.alive) counts[a.team]++; });
+        return counts;
+    }
+
+    // Clears the field for a fresh battle on `seed`. The same seed (the default) replays the
+    // same battle: the stream is rewound rather than continued.
+    reset(seed = this.seed) {
+        this.agents.forEach(a => this.events.emit('agentRemoved', a));
+        this.agents = [];
+        this.flights = [];
+        Object.values(this.pictures).forEach(p => p.clear());
+        this.combat.reset();
+        this.reinforceTimer = 0;
+        this.rng = new Random(seed);
+        this.seed = this.rng.seed;
+        this.nextId = 1;
+        this.nextFlightId = 1;
+        this.time = 0;
+        this.tick = 0;
+        this.events.emit('reset', this);
+    }
+}
@@ -0,0 +1,415 @@
+import { Vec3 } from './math.js';
+import { EventBus } from './events.js';
+import { Random } from './random.js';
+import { SpatialGrid } from './spatial.js';
+import { unitList } from './units.js';
+
+// --- SHIP CLASSES (Stats live in core/units.js; index is the type id) ---
+export const SHIP_TYPES = unitList(['INTERCEPTOR', 'DREADNOUGHT', 'VIPER']);
+
+// Each class flies as its own faction by default, matching the HUD's colour-coded counters
+const DEFAULT_COMBAT = {
+    retargetInterval: 30, // Steps between forced re-checks for a closer enemy, staggered per ship
+    tracerChance: 0.2, // Share of shots announced as 'laser' events; the hit roll is separate
+    flockInterval: 3, // Steps between neighbour scans for flocking, staggered per ship; the pull is reused in between
+    gridCellSize: 100
+};
+
+// Boids weights per class, by name. Ships steer away from anything inside
+// `separationRadius`, and match heading (alignment) and close up (cohesion) with
+// their own team within `radius`. `wander` weighs the ship's own waypoint against the
+// flock while it has no enemy; a hunted enemy always weighs 1.
+const DEFAULT_FLOCKING = {
+    INTERCEPTOR: { radius: 60, separationRadius: 15, separation: 1.5, alignment: 1.0, cohesion: 0.6, wander: 0.3 }, // Tight swarms
+    DREADNOUGHT: { radius: 120, separationRadius: 50, separation: 2.0, alignment: 0.6, cohesion: 0.2, wander: 1.0 }, // Loose battle line
+    VIPER: { radius: 50, separationRadius: 15, separation: 1.2, alignment: 0.5, cohesion: 0.4, wander: 0.8 } // Small packs
+};
+
+// --- EFFICIENT MATH TOOLS ---
+const _position = new Vec3();
+const _velocity = new Vec3();
+const _target = new Vec3();
+const _desired = new Vec3();
+const _flock = new Vec3();
+
+// --- CLASS: SWARM MANAGER (The Engine) ---
+// Slots [0, count) are in use or waiting on the free list; [count, capacity)
+// are spare. Pools grow by doubling, and dead slots are recycled first.
+export class SwarmManager {
+    // options.flocking overrides boids weights per class, e.g. { VIPER: { cohesion: 1 } }
+    constructor(count, options = {}) {
+        this.count = 0; // High-water mark of used slots, the update loop bound
+        this.liveCount = 0;
+        this.capacity = 0;
+        this.freeList = []; // Dead slots, reused before touching fresh capacity
+        this.worldSize = options.worldSize || 1500;
+        this.combat = { ...DEFAULT_COMBAT, ...options.combat };
+        this.flocking = SHIP_TYPES.map(type => ({ ...DEFAULT_FLOCKING[type.name], ...(options.flocking && options.flocking[type.name]) }));
+        this.rng = new Random(options.seed);
+        this.seed = this.rng.seed;
+        this.events = options.events || new EventBus();
+        
+        // --- DATA ORIENTED DESIGN (Arrays > Objects for performance) ---
+        // Each index 'i' represents one ship across all these arrays
+        this.types = new Uint8Array(0); // 0, 1, or 2
+        this.positions = new Float32Array(0); // x, y, z
+        this.prevPositions = new Float32Array(0); // Last step, for render interpolation
+        this.velocities = new Float32Array(0); // vx, vy, vz
+        this.targets = new Float32Array(0); // tx, ty, tz (where they want to go)
+        this.alive = new Uint8Array(0);
+        this.teams = new Uint8Array(0);
+        this.hp = new Float32Array(0);
+        this.enemies = new Int32Array(0); // Slot of the ship being hunted, -1 when wandering
+        this.cooldowns = new Float32Array(0); // Seconds until the next shot
+        this.flockForces = new Float32Array(0); // fx, fy, fz: last boids pull, see flock()
+        
+        this.grid = new SpatialGrid(this.combat.gridCellSize);
+        this.tick = 0;
+        this.seekTeam = 0;
+        this.isEnemy = j => this.alive[j] === 1 && this.teams[j] !== this.seekTeam;
+
+        // Neighbour sums for the ship being steered, filled by visitNeighbor
+        this.neighbors = { self: 0, team: 0, flock: null, count: 0, sx: 0, sy: 0, sz: 0, ax: 0, ay: 0, az: 0, cx: 0, cy: 0, cz: 0 };
+        this.visitNeighbor = (j, d2) => this.addNeighbor(j, d2);
+
+        this.startCount = count; // Opening fleet, raised again by reset()
+        this.initData(count);
+    }
+
+    initData(count) {
+        this.ensureCapacity(count);
+        this.count = count;
+        this.liveCount = count;
+        for(let i = 0; i < count; i++) this.initSlot(i, i / count);
+    }
+
+    // Starts over with the opening fleet on `seed` (the same one by default), keeping the pools
+    reset(seed = this.seed) {
+        this.rng = new Random(seed);
+        this.seed = this.rng.seed;
+        this.freeList = [];
+        this.tick = 0;
+        this.alive.fill(0);
+        this.initData(this.startCount);
+        this.events.emit('reset', this);
+    }
+
+    // Re-allocates every pool to at least `needed` slots, keeping existing data
+    ensureCapacity(needed) {
+        if(needed <= this.capacity) return false;
+        let capacity = Math.max(this.capacity, 64);
+        while(capacity < needed) capacity *= 2;
+
+        const grow = (old, Type, stride) => {
+            const next = new Type(capacity * stride);
+            next.set(old);
+            return next;
+        };
+        this.types = grow(this.types, Uint8Array, 1);
+        this.positions = grow(this.positions, Float32Array, 3);
+        this.prevPositions = grow(this.prevPositions, Float32Array, 3);
+        this.velocities = grow(this.velocities, Float32Array, 3);
+        this.targets = grow(this.targets, Float32Array, 3);
+        this.alive = grow(this.alive, Uint8Array, 1);
+        this.teams = grow(this.teams, Uint8Array, 1);
+        this.hp = grow(this.hp, Float32Array, 1);
+        this.enemies = grow(this.enemies, Int32Array, 1);
+        this.cooldowns = grow(this.cooldowns, Float32Array, 1);
+        this.flockForces = grow(this.flockForces, Float32Array, 3);
+        this.capacity = capacity;
+
+        this.events.emit('capacityChanged', { capacity });
+        return true;
+    }
+
+    // Fills slot i with a fresh ship. `spread` in [0, 1] places it on the spawn sphere.
+    initSlot(i, spread) {
+        const rng = this.rng;
+
+        // Distribute Types: 70% Interceptors, 20% Dreadnoughts, 10% Vipers
+        const r = rng.next();
+        if (r < 0.7) this.types[i] = 0;
+        else if (r < 0.9) this.types[i] = 1;
+        else this.types[i] = 2;
+
+        // Random Position in sphere
+        const phi = Math.acos( -1 + 2 * spread );
+        const theta = Math.sqrt( Math.max(this.count, 1) * Math.PI ) * phi;
+        const rad = this.worldSize * 0.8 * rng.next();
+        
+        this.positions[i*3] = rad * Math.cos(theta) * Math.sin(phi);
+        this.positions[i*3+1] = rad * Math.sin(theta) * Math.sin(phi);
+        this.positions[i*3+2] = rad * Math.cos(phi);
+        this.prevPositions[i*3] = this.positions[i*3];
+        this.prevPositions[i*3+1] = this.positions[i*3+1];
+        this.prevPositions[i*3+2] = this.positions[i*3+2];
+
+        // Random Velocity
+        this.velocities[i*3] = (rng.next()-0.5) * 2;
+        this.velocities[i*3+1] = (rng.next()-0.5) * 2;
+        this.velocities[i*3+2] = (rng.next()-0.5) * 2;
+
+        // Initial Target (Center)
+        this.targets[i*3] = 0;
+        this.targets[i*3+1] = 0;
+        this.targets[i*3+2] = 0;
+
+        const type = SHIP_TYPES[this.types[i]];
+        this.teams[i] = type.id;
+        this.hp[i] = type.durability.hp;
+        this.enemies[i] = -1;
+        this.flockForces.fill(0, i*3, i*3+3);
+        this.cooldowns[i] = type.weapons[0].reload * rng.next(); // Stagger the opening volley
+        this.alive[i] = 1;
+    }
+
+    update(dt) {
+        const combat = this.combat;
+        const rng = this.rng;
+        const { positions, velocities, targets, alive, teams, enemies } = this;
+        this.prevPositions.set(positions);
+        this.tick++;
+
+        // Broad-phase over living slots, shared by every target search this step
+        this.grid.clear();
+        for(let i = 0; i < this.count; i++) {
+            if(alive[i] === 1) this.grid.insert(i, positions[i*3], positions[i*3+1], positions[i*3+2]);
+        }
+
+        for(let i = 0; i < this.count; i++) {
+            if(alive[i] === 0) continue;
+
+            const type = SHIP_TYPES[this.types[i]];
+            const { mobility, sensors } = type;
+            const weapon = type.weapons[0];
+
+            // 1. READ DATA
+            _position.set(positions[i*3], positions[i*3+1], positions[i*3+2]);
+            _velocity.set(velocities[i*3], velocities[i*3+1], velocities[i*3+2]);
+
+            // 2. TARGETING (Keep the current enemy unless it died, fled, or a re-check is due)
+            let enemy = enemies[i];
+            if(enemy !== -1 && (alive[enemy] === 0 || teams[enemy] === teams[i])) enemy = -1;
+            let distSq = Infinity;
+            if(enemy !== -1) {
+                const dx = positions[enemy*3] - _position.x;
+                const dy = positions[enemy*3+1] - _position.y;
+                const dz = positions[enemy*3+2] - _position.z;
+                distSq = dx * dx + dy * dy + dz * dz;
+                if(distSq > sensors.range * sensors.range) enemy = -1;
+            }
+            // Idle ships only look around on their staggered tick, so an empty sky stays cheap
+            if(enemy !== enemies[i] || (i + this.tick) % combat.retargetInterval === 0) {
+                this.seekTeam = teams[i];
+                const found = this.grid.nearest(_position, sensors.range, this.isEnemy);
+                if(found !== null && found !== enemy) {
+                    enemy = found;
+                    distSq = _position.distanceToSquared(_target.set(positions[enemy*3], positions[enemy*3+1], positions[enemy*3+2]));
+                }
+            }
+            enemies[i] = enemy;
+
+            // 3. STEERING (Chase the enemy, otherwise wander between random waypoints, flocking either way)
+            if(enemy !== -1) {
+                _target.set(positions[enemy*3], positions[enemy*3+1], positions[enemy*3+2]);
+            } else {
+                _target.set(targets[i*3], targets[i*3+1], targets[i*3+2]);
+                if (_position.distanceToSquared(_target) < 4000) {
+                    targets[i*3] = (rng.next()-0.5) * this.worldSize;
+                    targets[i*3+1] = (rng.next()-0.5) * this.worldSize;
+                    targets[i*3+2] = (rng.next()-0.5) * this.worldSize;
+                }
+            }
+
+            // Heading: the enemy or waypoint, blended with the flock around it
+            _desired.copy(_target).sub(_position).normalize();
+            if(enemy === -1) _desired.multiplyScalar(this.flocking[this.types[i]].wander);
+            const forces = this.flockForces;
+            if((i + this.tick) % combat.flockInterval === 0) {
+                this.flock(i, _flock);
+                forces[i*3] = _flock.x;
+                forces[i*3+1] = _flock.y;
+                forces[i*3+2] = _flock.z;
+            }
+            _desired.x += forces[i*3];
+            _desired.y += forces[i*3+1];
+            _desired.z += forces[i*3+2];
+            if(_desired.lengthSq() === 0) _desired.copy(_velocity);
+            _desired.normalize().multiplyScalar(mobility.speed);
+            const steer = _desired.sub(_velocity).multiplyScalar(mobility.turn);
+            _velocity.add(steer).normalize().multiplyScalar(mobility.speed);
+
+            // Move
+            _position.addScaledVector(_velocity, dt * 60);
+
+            // WRITE BACK DATA
+            positions[i*3] = _position.x;
+            positions[i*3+1] = _position.y;
+            positions[i*3+2] = _position.z;
+            velocities[i*3] = _velocity.x;
+            velocities[i*3+1] = _velocity.y;
+            velocities[i*3+2] = _velocity.z;
+
+            // 4. COMBAT (Fire on the enemy once in weapon range and reloaded)
+            this.cooldowns[i] -= dt;
+            if(enemy === -1 || this.cooldowns[i] > 0 || distSq > weapon.range * weapon.range) continue;
+            this.cooldowns[i] = weapon.reload;
+
+            const hit = rng.next() < weapon.accuracy;
+            if(rng.next() < combat.tracerChance) {
+                const to = _target.clone();
+                // Misses streak past the target instead of connecting
+                if(!hit) to.add(new Vec3((rng.next()-0.5)*40, (rng.next()-0.5)*40, (rng.next()-0.5)*40));
+                this.events.emit('laser', { from: _position.clone(), to, color: type.color });
+            }
+            if(hit) this.damage(enemy, weapon.damage);
+        }
+    }
+
+    // Boids steering for ship i from its neighbours in the broad-phase grid, weighted
+    // by its class: separation + alignment + cohesion, written into `out`
+    flock(i, out) {
+        const n = this.neighbors;
+        const flock = this.flocking[this.types[i]];
+        n.self = i;
+        n.team = this.teams[i];
+        n.flock = flock;
+        n.count = 0;
+        n.sx = n.sy = n.sz = n.ax = n.ay = n.az = n.cx = n.cy = n.cz = 0;
+        const p = this.positions;
+        const x = p[i*3], y = p[i*3+1], z = p[i*3+2];
+        this.grid.forEachInRadius(x, y, z, Math.max(flock.radius, flock.separationRadius), this.visitNeighbor);
+
+        // Separation: pushes from everything too close, stronger the closer it is
+        out.set(n.sx, n.sy, n.sz).multiplyScalar(flock.separation);
+        if(n.count === 0) return out;
+
+        // Alignment: the flockmates' average heading
+        _target.set(n.ax, n.ay, n.az);
+        if(_target.lengthSq() > 0) out.addScaledVector(_target.normalize(), flock.alignment);
+
+        // Cohesion: toward their centre, easing off as the ship reaches it
+        _target.set(n.cx / n.count - x, n.cy / n.count - y, n.cz / n.count - z);
+        const gap = _target.length();
+        if(gap > 0) out.addScaledVector(_target, flock.cohesion * Math.min(1, gap / flock.radius) / gap);
+        return out;
+    }
+
+    addNeighbor(j, d2) {
+        const n = this.neighbors;
+        const i = n.self;
+        if(j === i || this.alive[j] === 0) return;
+        const { positions: p, velocities: v } = this;
+        const { radius, separationRadius } = n.flock;
+        if(d2 < separationRadius * separationRadius) {
+            const d = Math.sqrt(d2);
+            if(d > 0) {
+                const push = (1 - d / separationRadius) / d;
+                n.sx += (p[i*3] - p[j*3]) * push;
+                n.sy += (p[i*3+1] - p[j*3+1]) * push;
+                n.sz += (p[i*3+2] - p[j*3+2]) * push;
+            }
+        }
+        if(this.teams[j] !== n.team || d2 > radius * radius) return;
+        const speed = Math.sqrt(v[j*3] * v[j*3] + v[j*3+1] * v[j*3+1] + v[j*3+2] * v[j*3+2]);
+        if(speed > 0) {
+            n.ax += v[j*3] / speed;
+            n.ay += v[j*3+1] / speed;
+            n.az += v[j*3+2] / speed;
+        }
+        n.cx += p[j*3];
+        n.cy += p[j*3+1];
+        n.cz += p[j*3+2];
+        n.count++;
+    }
+
+    damage(i, amount) {
+        this.hp[i] -= amount;
+        if(this.hp[i] > 0) return;
+
+        const type = SHIP_TYPES[this.types[i]];
+        this.events.emit('explosion', {
+            position: new Vec3(this.positions[i*3], this.positions[i*3+1], this.positions[i*3+2]),
+            color: type.color,
+            scale: type.durability.blast
+        });
+        this.removeAgent(i);
+    }
+
+    // Composes one instance matrix per live ship into out[typeId] (column-major,
+    // as THREE.Matrix4 stores them), blended `alpha` of the way from the last step.
+    // Ships face along their velocity like Object3D.lookAt; hull size is baked into
+    // the render geometry, so there is no scale. Returns per-type counts.
+    writeMatrices(alpha, out) {
+        const { prevPositions: prev, positions: p, velocities: v, types, alive } = this;
+        const counts = [0, 0, 0];
+
+        for(let i = 0; i < this.count; i++) {
+            if(alive[i] === 0) continue;
+            const typeId = types[i];
+
+            // Forward axis (z), falling back to +z when the ship is stationary
+            let zx = v[i*3], zy = v[i*3+1], zz = v[i*3+2];
+            let len = Math.sqrt(zx*zx + zy*zy + zz*zz);
+            if(len === 0) { zx = 0; zy = 0; zz = 1; }
+            else { zx /= len; zy /= len; zz /= len; }
+
+            // Right axis (x) = worldUp x forward; nudge off the pole when they line up
+            len = Math.sqrt(zz*zz + zx*zx);
+            if(len === 0) {
+                zz += 0.0001;
+                const n = Math.sqrt(zx*zx + zy*zy + zz*zz);
+                zx /= n; zy /= n; zz /= n;
+                len = Math.sqrt(zz*zz + zx*zx);
+            }
+            const xx = zz / len, xz = -zx / len;
+
+            // Up axis (y) = forward x right
+            const yx = zy * xz, yy = zz * xx - zx * xz, yz = -zy * xx;
+
+            const m = out[typeId];
+            const o = counts[typeId]++ * 16;
+            m[o] = xx;  m[o+1] = 0;  m[o+2] = xz;  m[o+3] = 0;
+            m[o+4] = yx; m[o+5] = yy; m[o+6] = yz;  m[o+7] = 0;
+            m[o+8] = zx; m[o+9] = zy; m[o+10] = zz; m[o+11] = 0;
+            m[o+12] = prev[i*3] + (p[i*3] - prev[i*3]) * alpha;
+            m[o+13] = prev[i*3+1] + (p[i*3+1] - prev[i*3+1]) * alpha;
+            m[o+14] = prev[i*3+2] + (p[i*3+2] - prev[i*3+2]) * alpha;
+            m[o+15] = 1;
+        }
+        return counts;
+    }
+
+    // Reinforcements: recycle dead slots, then grow the pools if needed
+    addAgents(amount) {
+        const fresh = Math.max(0, amount - this.freeList.length);
+        this.ensureCapacity(this.count + fresh);
+
+        const added = [];
+        for(let n = 0; n < amount; n++) {
+            const i = this.freeList.length ? this.freeList.pop() : this.count++;
+            this.initSlot(i, this.rng.next());
+            added.push(i);
+        }
+        this.liveCount += amount;
+        this.events.emit('agentsAdded', { indices: added });
+        return added;
+    }
+
+    removeAgent(i) {
+        if(this.alive[i] === 0) return;
+        this.alive[i] = 0;
+        this.freeList.push(i);
+        this.liveCount--;
+        this.events.emit('agentRemoved', { index: i, type: this.types[i] });
+    }
+
+    // Ship count per type id
+    typeCounts() {
+        const counts = { 0: 0, 1: 0, 2: 0 };
+        for(let i=0; i<this.count; i++) {
+            if(this.alive[i]) counts[this.types[i]]++;
+        }
+        return counts;
+    }
+}
@@ -0,0 +1,56 @@
+// --- SWARM WORKER ---
+// Steps a SwarmManager off the main thread. Each frame the page transfers its
+// matrix buffers in along with the frame time, and gets them back filled with
+// interpolated instance matrices, so all it has left to do is the GPU upload.
+// Start it through RemoteSwarm (core/remoteswarm.js) rather than directly.
+import { SwarmManager } from './swarm.js';
+import { FixedStepLoop } from './loop.js';
+
+// Core events the page still needs; everything else stays in the worker
+const FORWARDED_EVENTS = ['laser', 'explosion'];
+
+let swarm = null;
+let loop = null;
+let pending = []; // Events raised since the last frame was posted
+
+const handlers = {
+    init({ count, options, step }) {
+        swarm = new SwarmManager(count, options);
+        loop = new FixedStepLoop(step);
+        FORWARDED_EVENTS.forEach(name => swarm.events.on(name, payload => pending.push({ name, payload })));
+    },
+
+    reinforce({ amount }) {
+        swarm.addAgents(amount);
+    },
+
+    reset({ seed }) {
+        swarm.reset(seed);
+        loop.reset();
+        pending = [];
+    },
+
+    // `hold` keeps the swarm still while the clock runs on
+    frame({ dt, matrices, hold }) {
+        const steps = loop.advance(dt, step => { if(!hold) swarm.update(step); });
+
+        // Buffers from before a reinforcement are too small; replace those outright
+        const size = swarm.capacity * 16;
+        const out = matrices.map(m => m.length >= size ? m : new Float32Array(size));
+        const counts = swarm.writeMatrices(loop.alpha, out);
+
+        const events = pending;
+        pending = [];
+        self.postMessage({
+            type: 'frame',
+            matrices: out,
+            steps,
+            counts,
+            liveCount: swarm.liveCount,
+            capacity: swarm.capacity,
+            events
+        }, out.map(m => m.buffer));
+    }
+};
+
+self.onmessage = e => handlers[e.data.type](e.data);
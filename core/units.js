@@ -0,0 +1,280 @@
+import { FORMATIONS } from './formations.js';
+
+// --- UNIT TYPES (One registry shared by every variant) ---
+// Each entry describes a unit class once: the domain it fights in, its hull,
+// mobility, weapons, sensors and durability. Variants pick the classes they
+// field from here, so a new class is one entry below. Entries are checked
+// against the schema when this module loads and come out with defaults filled.
+//
+// Units: speed in world units per 60Hz step, turn as the share of the desired
+// heading taken per step, ranges in world units, reload and fuel in seconds.
+// AIR classes also carry an `aero` section for the flight model in core/flight.js,
+// which limits how hard that turn can actually be flown.
+
+export const DOMAINS = ['AIR', 'SEA', 'LAND'];
+export const HULL_SHAPES = ['tetra', 'box', 'octa', 'turret'];
+export const WEAPON_KINDS = ['LASER', 'BOMB', 'TORPEDO', 'MISSILE'];
+
+const UNIT_DATA = {
+    // Multi-domain order of battle
+    FIGHTER: {
+        domain: 'AIR',
+        color: 0x00f3ff,
+        hull: { shape: 'tetra', scale: 2 },
+        mobility: { speed: 3.0, turn: 0.05, fuel: 100 },
+        aero: { stallSpeed: 1.0, maxG: 9, rollRate: 4, thrust: 1.0 },
+        weapons: [
+            {
+                kind: 'MISSILE', damage: 40, range: 350, reload: 6, magazine: 2, fuse: 6, blast: 8, targets: ['AIR'],
+                guidance: { speed: 6, burn: 2, life: 5, maxTurn: 1.5, seeker: 35 }
+            },
+            { kind: 'LASER', damage: 25, range: 400, reload: 0.83, magazine: 40, targets: ['AIR'] },
+            { kind: 'BOMB', damage: 25, range: 400, reload: 0.83, magazine: 6, blast: 40, targets: ['SEA', 'LAND'] }
+        ],
+        sensors: { range: 400, cone: 60, sonobuoys: 4 }, // Nose radar, and buoys to hunt subs with
+        durability: { hp: 50, blast: 1.5 }
+    },
+    SUBMARINE: {
+        domain: 'SEA',
+        color: 0xff00ff,
+        hull: { shape: 'box', size: [3, 1, 6], signature: 0.5 }, // Quiet
+        mobility: { speed: 1.2, turn: 0.05, fuel: 240 },
+        weapons: [{ kind: 'TORPEDO', damage: 25, range: 250, reload: 0.83, magazine: 12 }],
+        sensors: { range: 250, sonar: { passive: 350, active: 250 } }, // Radar only at periscope depth
+        durability: { hp: 150, blast: 1.5, armor: 4 }
+    },
+    TURRET: {
+        domain: 'LAND',
+        color: 0xccff00,
+        hull: { shape: 'turret', size: [3, 4, 3], signature: 1.5 },
+        mobility: { speed: 0, turn: 0 }, // Stationary, sits on an island
+        weapons: [{ kind: 'LASER', damage: 25, range: 500, reload: 0.42, magazine: 30 }], // Reloads where it stands
+        sensors: { range: 500 },
+        durability: { hp: 200, blast: 3.0, armor: 10 } // Hardened against lasers
+    },
+
+    // Starfighter classes (squadron, wing and swarm)
+    INTERCEPTOR: {
+        domain: 'AIR',
+        color: 0x00f3ff,
+        formation: 'V-SHAPE',
+        hull: { shape: 'tetra', scale: 2 },
+        mobility: { speed: 3.0, turn: 0.08, fuel: 60 },
+        aero: { stallSpeed: 1.1, maxG: 8, rollRate: 5, thrust: 1.2 }, // Fast and hard-hitting on the slash, wide in a turn
+        weapons: [{ kind: 'LASER', damage: 8, range: 150, reload: 0.5, magazine: 30, accuracy: 0.6 }],
+        sensors: { range: 300, cone: 60 },
+        durability: { hp: 40 }
+    },
+    DREADNOUGHT: {
+        domain: 'AIR',
+        color: 0xff00ff,
+        formation: 'WALL',
+        hull: { shape: 'box', size: [1, 0.6, 2], scale: 4, signature: 3 },
+        mobility: { speed: 0.9, turn: 0.025, fuel: 180 },
+        aero: { stallSpeed: 0.4, maxG: 2, rollRate: 0.8, thrust: 0.4 },
+        weapons: [{ kind: 'LASER', damage: 30, range: 220, reload: 1.5, magazine: 20, accuracy: 0.4 }],
+        sensors: { range: 400, cone: 120 },
+        durability: { hp: 250, blast: 3.0 }
+    },
+    VIPER: {
+        domain: 'AIR',
+        color: 0xccff00,
+        formation: 'ECHELON',
+        hull: { shape: 'octa', scale: 2, signature: 0.7 },
+        mobility: { speed: 2.2, turn: 0.1, fuel: 90 },
+        aero: { stallSpeed: 0.7, maxG: 11, rollRate: 4, thrust: 0.9 }, // Out-turns interceptors, can't outrun them
+        weapons: [{ kind: 'LASER', damage: 15, range: 180, reload: 0.8, magazine: 25, accuracy: 0.5 }],
+        sensors: { range: 300, cone: 70 },
+        durability: { hp: 80 }
+    }
+};
+
+// --- SCHEMA ---
+// A field is required unless it has a default. `min`/`max` bound numbers,
+// `oneOf` restricts strings, and 'domains' is a list drawn from DOMAINS.
+// An optional section is null when left out, and checked in full when given.
+const required = (type, rules) => ({ type, ...rules });
+const optional = (type, value, rules) => ({ type, default: value, ...rules });
+const optionalSection = schema => ({ type: 'section', schema });
+
+// Seeker and motor of a guided weapon; speeds in world units per 60Hz step
+const GUIDANCE_SCHEMA = {
+    speed: required('number', { min: 0.1 }), // Top speed under thrust
+    burn: required('number', { min: 0 }), // Seconds of motor; it coasts and slows after
+    life: required('number', { min: 0.1 }), // Seconds of flight before it self-destructs
+    maxTurn: required('number', { min: 0 }), // G limit, as radians per second at top speed
+    seeker: required('number', { min: 0, max: 90 }), // Half-angle of the seeker cone in degrees
+    navConstant: optional('number', 4, { min: 1 }) // Proportional navigation gain
+};
+
+// Hydrophones of a SEA class
+const SONAR_SCHEMA = {
+    passive: required('number', { min: 0 }), // Range at which it hears a target making full noise
+    active: optional('number', 0, { min: 0 }) // Ping range; 0 has no active sonar
+};
+
+// Airframe of an AIR class; stall speed in world units per 60Hz step
+const AERO_SCHEMA = {
+    stallSpeed: required('number', { min: 0.01 }), // Slowest speed the wings hold 1g at
+    maxG: required('number', { min: 1 }), // Structural limit on the pull
+    rollRate: required('number', { min: 0.1 }), // Radians per second
+    thrust: optional('number', 1, { min: 0.1 }), // Thrust-to-weight ratio
+    drag: optional('number', 0.03, { min: 0 }) // Deceleration in g per g² of pull above 1g
+};
+
+const UNIT_SCHEMA = {
+    domain: required('string', { oneOf: DOMAINS }),
+    color: optional('number', 0xffffff, { min: 0, max: 0xffffff }), // Livery when the class is its own faction
+    formation: optional('string', 'WALL', { oneOf: FORMATIONS }),
+    hull: {
+        shape: required('string', { oneOf: HULL_SHAPES }),
+        size: optional('vec3', [1, 1, 1]), // Proportions of the unit mesh
+        scale: optional('number', 1, { min: 0 }),
+        signature: optional('number', 1, { min: 0 }), // How easily sensors spot it; 1 is a fighter's return
+        noise: optional('number', 1, { min: 0 }) // Sound it makes in the water at top speed, for sonar
+    },
+    mobility: {
+        speed: required('number', { min: 0 }),
+        turn: optional('number', 0.05, { min: 0, max: 1 }),
+        fuel: optional('number', 0, { min: 0 }) // Seconds of endurance; 0 never runs dry
+    },
+    aero: optionalSection(AERO_SCHEMA), // Required for AIR
+
+    weapons: [{
+        kind: required('string', { oneOf: WEAPON_KINDS }),
+        damage: required('number', { min: 0 }),
+        range: required('number', { min: 0 }),
+        reload: required('number', { min: 0.01 }),
+        magazine: optional('number', 0, { min: 0 }), // Rounds carried per sortie; 0 is unlimited
+        accuracy: optional('number', 1, { min: 0, max: 1 }),
+        fuse: optional('number', 15, { min: 0 }), // Proximity fuse: bursts on any unit passing this close
+        blast: optional('number', 0, { min: 0 }), // Radius of area damage where it bursts
+        targets: optional('domains', DOMAINS), // Domains this weapon can engage
+        guidance: optionalSection(GUIDANCE_SCHEMA) // Required for MISSILE, homing by proportional navigation
+    }],
+    sensors: {
+        range: required('number', { min: 0 }),
+        cone: optional('number', 180, { min: 0, max: 180 }), // Search half-angle around the nose in degrees; 180 is all round
+        sonar: optionalSection(SONAR_SCHEMA), // Listens (and pings) under water
+        sonobuoys: optional('number', 0, { min: 0 }) // Listening buoys dropped per sortie
+    },
+    durability: {
+        hp: required('number', { min: 1 }),
+        blast: optional('number', 1, { min: 0 }), // Size of the explosion when destroyed
+        armor: optional('number', 0, { min: 0 }) // Damage soaked off each weapon hit (multi-domain, see core/damage.js)
+    }
+};
+
+// Thrown when a unit definition fails the schema; `errors` lists one line per problem
+export class UnitError extends Error {
+    constructor(errors) {
+        super(`Invalid unit definitions:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+        this.name = 'UnitError';
+        this.errors = errors;
+    }
+}
+
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+const FIELD_TYPES = {
+    number: { test: v => typeof v === 'number' && Number.isFinite(v), label: 'a number' },
+    string: { test: v => typeof v === 'string', label: 'a string' },
+    vec3: { test: v => Array.isArray(v) && v.length === 3 && v.every(n => typeof n === 'number' && n > 0), label: 'three positive numbers' },
+    domains: { test: v => Array.isArray(v) && v.length > 0 && v.every(d => DOMAINS.includes(d)), label: `a list drawn from ${DOMAINS.join(', ')}` }
+};
+
+function checkField(field, value, path, fail) {
+    const type = FIELD_TYPES[field.type];
+    if(!type.test(value)) fail(path, `must be ${type.label}`);
+    else if(field.oneOf && !field.oneOf.includes(value)) fail(path, `must be one of ${field.oneOf.join(', ')}`);
+    else if(field.min !== undefined && value < field.min) fail(path, `must be at least ${field.min}`);
+    else if(field.max !== undefined && value > field.max) fail(path, `must be at most ${field.max}`);
+}
+
+// Checks `data` against `schema` and returns a copy with defaults filled in
+function normalise(schema, data, path, fail) {
+    if(!isObject(data)) {
+        fail(path, 'must be an object');
+        return {};
+    }
+    Object.keys(data).forEach(key => {
+        if(!(key in schema)) fail(`${path}.${key}`, 'is not a known field');
+    });
+
+    const out = {};
+    for(const [key, field] of Object.entries(schema)) {
+        const value = data[key];
+        const at = `${path}.${key}`;
+        if(Array.isArray(field)) {
+            if(!Array.isArray(value) || !value.length) fail(at, 'must be a non-empty list');
+            else out[key] = value.map((item, i) => normalise(field[0], item, `${at}[${i}]`, fail));
+        } else if(!field.type) {
+            out[key] = normalise(field, value, at, fail);
+        } else if(field.type === 'section') {
+            out[key] = value === undefined ? null : normalise(field.schema, value, at, fail);
+        } else if(value === undefined) {
+            if(field.default === undefined) fail(at, 'is required');
+            else out[key] = Array.isArray(field.default) ? [...field.default] : field.default;
+        } else {
+            checkField(field, value, at, fail);
+            out[key] = Array.isArray(value) ? [...value] : value;
+        }
+    }
+    return out;
+}
+
+// Rules spanning several fields, checked on the normalised unit
+function checkUnit(unit, key, fail) {
+    if(unit.domain === 'AIR' && !unit.aero) fail(`${key}.aero`, 'is required for an AIR unit');
+    if(unit.domain !== 'AIR' && unit.aero) fail(`${key}.aero`, 'only AIR units fly');
+    if(unit.domain !== 'SEA' && unit.sensors && unit.sensors.sonar) fail(`${key}.sensors.sonar`, 'only SEA units carry sonar');
+    if(unit.domain !== 'AIR' && unit.sensors && unit.sensors.sonobuoys) fail(`${key}.sensors.sonobuoys`, 'only AIR units drop sonobuoys');
+    (unit.weapons || []).forEach((w, i) => {
+        if(w.kind === 'MISSILE' && !w.guidance) fail(`${key}.weapons[${i}].guidance`, 'is required for a MISSILE');
+    });
+}
+
+// Every problem with one unit definition, as "path: message" lines. Empty means valid.
+export function validateUnit(key, data) {
+    const errors = [];
+    const fail = (path, message) => errors.push(`${path}: ${message}`);
+    checkUnit(normalise(UNIT_SCHEMA, data, key, fail), key, fail);
+    return errors;
+}
+
+// Validates a whole table and returns it normalised and frozen; throws UnitError
+export function defineUnits(table) {
+    const errors = [];
+    const fail = (path, message) => errors.push(`${path}: ${message}`);
+    const units = {};
+    for(const [key, data] of Object.entries(table)) {
+        const unit = normalise(UNIT_SCHEMA, data, key, fail);
+        checkUnit(unit, key, fail);
+        units[key] = deepFreeze({ name: key, ...unit });
+    }
+    if(errors.length) throw new UnitError(errors);
+    return Object.freeze(units);
+}
+
+function deepFreeze(obj) {
+    Object.values(obj).forEach(v => { if(v && typeof v === 'object') deepFreeze(v); });
+    return Object.freeze(obj);
+}
+
+export const UNIT_TYPES = defineUnits(UNIT_DATA);
+
+export function unitType(key) {
+    const unit = UNIT_TYPES[key];
+    if(!unit) throw new Error(`Unknown unit type "${key}"`);
+    return unit;
+}
+
+// The classes a variant fields, keyed by name (scenario units are looked up here)
+export function unitRoster(keys) {
+    return Object.fromEntries(keys.map(key => [key, unitType(key)]));
+}
+
+// The same as a list, each class tagged with its index as `id` (for typed arrays and counters)
+export function unitList(keys) {
+    return keys.map((key, id) => ({ ...unitType(key), id }));
+}
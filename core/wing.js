@@ -0,0 +1,139 @@
+import { Vec3 } from './math.js';
+import { EventBus } from './events.js';
+import { Random } from './random.js';
+import { SpatialGrid } from './spatial.js';
+import { unitList } from './units.js';
+
+// --- CONFIGURATION ---
+export const CONFIG = {
+    worldSize: 1200,
+    count: 3333,
+    baseSpeed: 1.0,
+    slowMoSpeed: 0.1,
+    gridCellSize: 100, // Broad-phase cell edge
+    fixedStep: 1 / 60, // Seconds of sim time per physics step
+    maxFrameDt: 0.25, // Longest frame fed to the loop, so a stalled tab doesn't jump the battle
+    match: { timeLimit: 180 } // Victory rules for the browser sim's rounds, see core/match.js; classes score by survivors
+};
+
+// --- CLASS DEFINITIONS (Stats live in core/units.js; index is the class id) ---
+export const CLASSES = unitList(['INTERCEPTOR', 'DREADNOUGHT', 'VIPER']);
+
+// --- LOGIC MANAGER ---
+export class WingManager {
+    constructor(count, options = {}) {
+        this.count = count;
+        this.rng = new Random(options.seed);
+        this.seed = this.rng.seed;
+        this.events = options.events || new EventBus();
+        this.agents = [];
+        this.grid = new SpatialGrid(CONFIG.gridCellSize);
+        this.initAgents();
+    }
+
+    initAgents() {
+        const rng = this.rng;
+        for(let i=0; i<this.count; i++) {
+            const r = rng.next();
+            let type;
+            if(r < 0.6) type = CLASSES[0];
+            else if (r < 0.85) type = CLASSES[1];
+            else type = CLASSES[2];
+
+            const pos = new Vec3((rng.next()-0.5)*CONFIG.worldSize, (rng.next()-0.5)*CONFIG.worldSize/2, (rng.next()-0.5)*CONFIG.worldSize);
+            this.agents.push({
+                index: i,
+                type: type,
+                team: type.id, // Each class is its own faction, as on the HUD counters
+                hp: type.durability.hp,
+                target: null,
+                alive: true,
+                pos: pos,
+                prevPos: pos.clone(), // For render interpolation
+                vel: new Vec3((rng.next()-0.5), (rng.next()-0.5), (rng.next()-0.5)).normalize().multiplyScalar(type.mobility.speed),
+                targetPos: new Vec3()
+            });
+        }
+    }
+
+    // Starts over with a fresh fleet on `seed` (the same one by default)
+    reset(seed = this.seed) {
+        this.rng = new Random(seed);
+        this.seed = this.rng.seed;
+        this.agents = [];
+        this.initAgents();
+        this.events.emit('reset', this);
+    }
+
+    update(dt) {
+        const rng = this.rng;
+        this.grid.rebuild(this.agents.filter(a => a.alive), a => a.pos);
+
+        for(let agent of this.agents) {
+            if(!agent.alive) continue;
+            agent.prevPos.copy(agent.pos);
+
+            const { mobility, sensors } = agent.type;
+            const weapon = agent.type.weapons[0];
+
+            // 1. Targeting (Nearest living enemy, dropped once it dies or slips out of sensor range)
+            const t = agent.target;
+            if(t && (!t.alive || agent.pos.distanceToSquared(t.pos) > sensors.range * sensors.range)) {
+                agent.target = null;
+            }
+            if(!agent.target && rng.next() < 0.1) {
+                agent.target = this.grid.nearest(agent.pos, sensors.range, a => a.alive && a.team !== agent.team);
+            }
+
+            // 2. Logic
+            if(agent.target) {
+                agent.targetPos.copy(agent.target.pos);
+            } else if(agent.pos.distanceToSquared(agent.targetPos) < 1000 || rng.next() < 0.01) {
+                // Pick new random point in sphere
+                agent.targetPos.set(
+                    (rng.next()-0.5)*CONFIG.worldSize,
+                    (rng.next()-0.5)*CONFIG.worldSize * 0.5,
+                    (rng.next()-0.5)*CONFIG.worldSize
+                );
+            }
+
+            // Steer
+            const desired = agent.targetPos.clone().sub(agent.pos).normalize().multiplyScalar(mobility.speed);
+            const steer = desired.sub(agent.vel).multiplyScalar(mobility.turn);
+            agent.vel.add(steer).normalize().multiplyScalar(mobility.speed);
+            
+            // Move
+            agent.pos.add(agent.vel.clone().multiplyScalar(dt * 60));
+
+            // 3. Combat (Fire on the target once it is inside weapon range, at the reload rate on average)
+            const target = agent.target;
+            if(!target || agent.pos.distanceToSquared(target.pos) > weapon.range * weapon.range) continue;
+            if(rng.next() < dt / weapon.reload) {
+                const hit = rng.next() < weapon.accuracy;
+                const to = target.pos.clone();
+                // Misses streak past the target instead of connecting
+                if(!hit) to.add(new Vec3((rng.next()-0.5)*30, (rng.next()-0.5)*30, (rng.next()-0.5)*30));
+                this.events.emit('laser', { from: agent.pos.clone(), to, color: agent.type.color });
+                if(hit) this.damage(target, weapon.damage);
+            }
+        }
+    }
+
+    damage(agent, amount) {
+        agent.hp -= amount;
+        this.events.emit('explosion', { position: agent.pos.clone(), color: 0xffffff, scale: 0.5 });
+        if(agent.hp > 0) return;
+
+        agent.alive = false;
+        agent.target = null;
+        this.events.emit('explosion', { position: agent.pos.clone(), color: agent.type.color, scale: agent.type.durability.blast });
+        this.events.emit('agentRemoved', agent);
+    }
+
+    // Unit count per class id
+    typeCounts() {
+        const counts = { 0: 0, 1: 0, 2: 0 };
+        this.agents.forEach(a => { if(a.alive) counts[a.type.id]++; });
+        return counts;
+    }
+}
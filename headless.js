@@ -0,0 +1,132 @@
+// --- HEADLESS BATTLE RUNNER ---
+// Runs battles from the simulation core without Three.js or a DOM.
+//   node headless.js [variant] [--battles N] [--duration SECONDS] [--dt SECONDS] [--seed N] [--record FILE] [--scenario FILE]
+//                    [--controller TEAM=NAME ...]
+// Prints one JSON result line per battle, so output can be piped into analysis tools.
+// Battle b runs with seed + b, so any single result can be reproduced on its own.
+// --record writes a flight recorder file (multidomain and squadron) for review in the browser.
+// --scenario plays a scenario file (see scenarios/) and reports its winner; an invalid file
+// prints the validation report and exits with status 1.
+// --controller hands a team to a registered AI controller (see core/controllers.js), e.g.
+// --controller CYAN=hunter; repeat it for more teams. It beats the scenario's own choice.
+import { MultiDomainBattle } from './core/multidomain.js';
+import { SquadronBattle } from './core/squadron.js';
+import { WingManager } from './core/wing.js';
+import { SwarmManager } from './core/swarm.js';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { Random } from './core/random.js';
+import { BattleRecorder } from './core/recorder.js';
+import { ScenarioDirector, ScenarioError, createScenarioBattle, loadScenario } from './core/scenario.js';
+import { resolveController } from './core/controllers.js';
+
+const VARIANTS = {
+    multidomain: {
+        create(seed) {
+            const battle = new MultiDomainBattle(seed);
+            battle.spawnAirWing();
+            battle.spawnNavalFleet();
+            battle.spawnGroundDefense();
+            return battle;
+        },
+        report: battle => ({ scores: battle.scores, alive: battle.teamCounts() }),
+        controllers: true,
+        recorder: (battle, scenario) => new BattleRecorder(battle, { variant: 'multidomain', scenario })
+    },
+    squadron: {
+        create(seed) {
+            const battle = new SquadronBattle(seed);
+            battle.spawnFormation('CYAN');
+            battle.spawnFormation('MAGENTA');
+            return battle;
+        },
+        report: battle => ({ kills: battle.kills, alive: battle.teamCounts() }),
+        controllers: true,
+        recorder: (battle, scenario) => new BattleRecorder(battle, { variant: 'squadron', scores: b => b.kills, scenario })
+    },
+    wing: {
+        create: seed => new WingManager(3333, { seed }),
+        report: wing => ({ types: wing.typeCounts() })
+    },
+    swarm: {
+        create: seed => new SwarmManager(333, { seed }),
+        report: swarm => ({ types: swarm.typeCounts() })
+    }
+};
+
+function parseArgs(argv) {
+    const opts = { variant: null, battles: 1, duration: 60, dt: 1 / 60, seed: null, controllers: {} };
+    for(let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if(arg === '--battles') opts.battles = parseInt(argv[++i], 10);
+        else if(arg === '--duration') opts.duration = parseFloat(argv[++i]);
+        else if(arg === '--dt') opts.dt = parseFloat(argv[++i]);
+        else if(arg === '--seed') opts.seed = parseInt(argv[++i], 10) >>> 0;
+        else if(arg === '--record') opts.record = argv[++i];
+        else if(arg === '--scenario') opts.scenario = argv[++i];
+        else if(arg === '--controller') {
+            const [team, name] = (argv[++i] || '').split('=');
+            if(!team || !name) throw new Error('--controller expects TEAM=NAME');
+            resolveController(name); // Throws for an unknown name
+            opts.controllers[team] = name;
+        }
+        else if(!arg.startsWith('--')) opts.variant = arg;
+        else throw new Error(`Unknown option ${arg}`);
+    }
+    if(opts.scenario) {
+        const scenario = loadScenario(readFileSync(opts.scenario, 'utf8'), opts.variant, opts.scenario);
+        opts.variant = scenario.variant;
+        opts.scenario = scenario;
+    }
+    // A seed on the command line beats the scenario's own
+    if(opts.seed === null) opts.seed = opts.scenario && opts.scenario.seed !== undefined ? opts.scenario.seed : Random.randomSeed();
+    opts.variant = opts.variant || 'multidomain';
+    if(!VARIANTS[opts.variant]) {
+        throw new Error(`Unknown variant "${opts.variant}" (expected ${Object.keys(VARIANTS).join(', ')})`);
+    }
+    if(Object.keys(opts.controllers).length && !VARIANTS[opts.variant].controllers) {
+        throw new Error(`Variant "${opts.variant}" has no AI controllers`);
+    }
+    if(opts.record && !VARIANTS[opts.variant].recorder) {
+        throw new Error(`Variant "${opts.variant}" cannot be recorded`);
+    }
+    return opts;
+}
+
+export function runBattle(variant, duration, dt, seed, recordPath, scenario = null, controllers = {}) {
+    const def = VARIANTS[variant];
+    const battle = scenario ? createScenarioBattle(scenario, seed) : def.create(seed);
+    Object.entries(controllers).forEach(([team, name]) => {
+        if(!(team in battle.controllers)) throw new Error(`Unknown team "${team}" for --controller (expected ${Object.keys(battle.controllers).join(', ')})`);
+        battle.setController(team, name);
+    });
+    const recorder = recordPath ? def.recorder(battle, scenario) : null;
+    if(recorder) recorder.start();
+    const director = scenario ? new ScenarioDirector(battle, scenario) : null;
+    if(director) director.start();
+
+    const steps = Math.round(duration / dt);
+    for(let s = 0; s < steps; s++) battle.update(dt);
+
+    if(recorder) writeFileSync(recordPath, JSON.stringify(recorder.stop()));
+    const result = { variant, seed: battle.seed, duration, ...def.report(battle) };
+    if(director) {
+        result.scenario = scenario.name;
+        result.winner = director.winner; // null for a draw, or while decidedAt is still null
+        result.decidedAt = director.decidedAt;
+    }
+    return result;
+}
+
+let opts;
+try {
+    opts = parseArgs(process.argv.slice(2));
+} catch(e) {
+    if(!(e instanceof ScenarioError)) throw e;
+    console.error(e.message);
+    process.exit(1);
+}
+for(let b = 0; b < opts.battles; b++) {
+    const recordPath = opts.record && opts.battles > 1 ? opts.record.replace(/(\.json)?$/, `-${b}.json`) : opts.record;
+    const result = runBattle(opts.variant, opts.duration, opts.dt, (opts.seed + b) >>> 0, recordPath, opts.scenario, opts.controllers);
+    console.log(JSON.stringify({ battle: b, ...result }));
+}
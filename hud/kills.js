@@ -0,0 +1,33 @@
+// --- KILL FEED AND COMBAT STATS ---
+// HUD text built from the combat log's kill records (core/combatlog.js), e.g.
+// "CYAN FIGHTER #4 ▸ MAGENTA SUBMARINE #9 · BOMB · +1 ASSIST". A unit that died with
+// nobody's hits on it reads "LIME TURRET #12 LOST · CRASH".
+
+const FEED_LENGTH = 5;
+
+const name = unit => `${unit.team} ${unit.unit} #${unit.id}`;
+
+export function killLine({ victim, killer, weapon, cause, assists }) {
+    if(!killer) return `${name(victim)} LOST · ${cause}`;
+    const parts = [cause === weapon ? weapon : `${weapon} / ${cause}`];
+    if(killer.team === victim.team) parts.push('FRIENDLY FIRE');
+    if(assists.length) parts.push(`+${assists.length} ASSIST${assists.length > 1 ? 'S' : ''}`);
+    return `${name(killer)} ▸ ${name(victim)} · ${parts.join(' · ')}`;
+}
+
+// The latest kills, newest on top
+export function killFeed(log) {
+    const records = log.recent(FEED_LENGTH);
+    return records.length ? records.map(killLine).join('\n') : '-';
+}
+
+// Units each team has lost, e.g. "CYAN 3 · MAGENTA 0 · LIME 2"
+export function lossSummary(log) {
+    return Object.entries(log.teamStats).map(([team, s]) => `${team} ${s.losses}`).join(' · ');
+}
+
+// The unit with the most kills, e.g. "CYAN FIGHTER #4 · 3K 1A"
+export function aceSummary(log) {
+    const ace = log.ace();
+    return ace ? `${name(ace)} · ${ace.kills}K ${ace.assists}A` : '-';
+}
@@ -0,0 +1,68 @@
+import { SETUP, SUDDEN_DEATH, ENDED } from '../core/match.js';
+
+// --- MATCH HUD ---
+// Drives the match status line and the end-of-round screen shared by every page.
+// The page can add its own lines to the summary (kill stats, say) with `details`.
+const clock = seconds => {
+    const s = Math.max(0, Math.floor(seconds));
+    return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+};
+
+const byTeam = values => Object.entries(values).map(([team, v]) => `${team} ${v}`).join(' · ');
+
+// e.g. "ROUND 2/3 · LIVE 1:23", with the time left when there's a time limit
+export function matchStatus(match) {
+    const { rules } = match;
+    const round = rules.bestOf > 1 ? `ROUND ${match.round}/${rules.bestOf} · ` : '';
+    if(match.phase === SETUP) return `${round}STARTING IN ${Math.ceil(match.countdown)}`;
+    if(match.phase === ENDED) return `${round}OVER`;
+    if(match.phase === SUDDEN_DEATH) return `${round}SUDDEN DEATH ${clock(rules.suddenDeath - match.suddenDeathTime)}`;
+    const time = rules.timeLimit > 0 ? clock(rules.timeLimit - match.time) : clock(match.time);
+    const objective = match.holder ? ` · ${match.holder} HOLDS ${clock(rules.objective.holdTime - match.held[match.holder])}` : '';
+    return `${round}LIVE ${time}${objective}`;
+}
+
+// Title and body text for a finished round
+export function roundSummary(result, match) {
+    const title = result.winner
+        ? `${result.winner} WINS ROUND ${result.round}`
+        : `ROUND ${result.round} DRAWN`;
+    const lines = [
+        `DECIDED BY: ${result.reason.toUpperCase()} AT ${clock(result.time)}`,
+        `SCORE: ${byTeam(result.scores)}`,
+        `SURVIVORS: ${byTeam(result.survivors)}`
+    ];
+    if(match.rules.bestOf > 1) {
+        lines.push(`SERIES: ${byTeam(result.wins)} (FIRST TO ${match.winsNeeded})`);
+        if(result.seriesWinner) return { title: `${result.seriesWinner} WINS THE SERIES`, lines };
+    }
+    return { title, lines };
+}
+
+export class MatchHUD {
+    // `details(result)` returns extra summary lines; the page's own end-of-round hook
+    constructor(match, { details = () => [] } = {}) {
+        this.match = match;
+        this.details = details;
+        this.el = id => document.getElementById(id);
+        match.game.events.on('roundEnd', result => this.showSummary(result));
+        match.game.events.on('phase', ({ phase }) => {
+            if(phase !== ENDED) this.el('round-end').hidden = true;
+            this.refresh();
+        });
+        this.refresh();
+    }
+
+    showSummary(result) {
+        const { title, lines } = roundSummary(result, this.match);
+        this.el('round-title').innerText = title;
+        this.el('round-summary').innerText = [...lines, ...this.details(result)].join('\n');
+        this.el('next-round-btn').innerText = this.match.seriesOver ? 'NEW SERIES' : 'NEXT ROUND';
+        this.el('round-end').hidden = false;
+    }
+
+    // A few times a second is plenty
+    refresh() {
+        this.el('match-status').innerText = matchStatus(this.match);
+    }
+}
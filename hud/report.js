@@ -0,0 +1,11 @@
+// --- SETUP REPORT ---
+// The panel listing problems with a page's options (a scenario that failed to load,
+// a controller that isn't registered) so a bad link still opens on a working battle.
+// Pages that use it carry a hidden #setup-report holding a #setup-errors block.
+
+// Adds `lines` under `title` to the report and shows it
+export function showReport(title, lines) {
+    const el = document.getElementById('setup-errors');
+    el.innerText = [el.innerText, `${title}:`, ...lines].filter(Boolean).join('\n');
+    document.getElementById('setup-report').hidden = false;
+}
@@ -0,0 +1,16 @@
+import { STATES } from '../core/ai.js';
+
+// --- AI STATE READOUT ---
+// One line for the HUD counting live units per AI state, e.g. "ATK 12 · EVD 3 · RTB 1".
+// Logistics trips (RTB, REARMING) show alongside the state machine's own states, and
+// labels reported by custom controllers follow as they are.
+const ORDER = [...STATES, 'RTB', 'REARMING'];
+const SHORT = { PATROL: 'PAT', ACQUIRE: 'ACQ', INTERCEPT: 'INT', ATTACK: 'ATK', EVADE: 'EVD', RETREAT: 'RTR', RTB: 'RTB', REARMING: 'RRM' };
+
+export function stateSummary(agents) {
+    const counts = {};
+    agents.forEach(a => { if(a.alive && a.state) counts[a.state] = (counts[a.state] || 0) + 1; });
+    const parts = ORDER.filter(s => counts[s]).map(s => `${SHORT[s]} ${counts[s]}`);
+    Object.keys(counts).filter(s => !ORDER.includes(s)).sort().forEach(s => parts.push(`${s} ${counts[s]}`));
+    return parts.length ? parts.join(' · ') : '-';
+}
@@ -0,0 +1,120 @@
+import { BattleReplay } from '../core/recorder.js';
+
+// --- FLIGHT RECORDER HUD ---
+// Drives the timeline panel shared by the multi-domain and squadron pages.
+// The page supplies enter/exit hooks that swap its live views for replay views,
+// and an onError(message) hook that puts load failures on its HUD.
+export class ReplayController {
+    constructor({ recorder, variant, describeAgent, onEnter, onExit, onError }) {
+        if(typeof onError !== 'function') throw new Error('ReplayController needs an onError(message) hook');
+        this.recorder = recorder;
+        this.variant = variant;
+        this.describeAgent = describeAgent;
+        this.onEnter = onEnter;
+        this.onExit = onExit;
+        this.onError = onError;
+        this.replay = null;
+        this.el = id => document.getElementById(id);
+    }
+
+    get active() { return this.replay !== null; }
+
+    // REVIEW button: freeze the live battle and open what has been recorded so far
+    toggle() {
+        if(this.active) this.exit();
+        else this.enter(this.recorder.toJSON());
+    }
+
+    enter(recording) {
+        if(recording.variant !== this.variant) {
+            this.onError(`RECORDING IS FOR ${String(recording.variant).toUpperCase()}, NOT ${this.variant.toUpperCase()}`);
+            return;
+        }
+        if(this.active) this.exit();
+        try {
+            this.replay = new BattleReplay(recording, { describeAgent: this.describeAgent });
+        } catch(err) {
+            this.onError(err.message.toUpperCase());
+            return;
+        }
+        this.onEnter(this.replay);
+        this.replay.seek(this.replay.duration);
+        this.el('replay-btn').innerText = 'BACK TO LIVE';
+        this.el('replay-btn').classList.add('active');
+        this.refresh();
+    }
+
+    exit() {
+        if(!this.active) return;
+        this.replay.seek(0); // Emits removals so replay views can tear down
+        this.onExit(this.replay);
+        this.replay = null;
+        this.el('replay-btn').innerText = 'REVIEW';
+        this.el('replay-btn').classList.remove('active');
+        this.refresh();
+    }
+
+    togglePlayback() {
+        if(!this.active) this.toggle();
+        if(!this.active) return;
+        if(this.replay.playing) {
+            this.replay.pause();
+        } else {
+            if(this.replay.time >= this.replay.duration) this.replay.seek(0);
+            this.replay.play();
+        }
+        this.refresh();
+    }
+
+    rewind(seconds = 5) {
+        if(this.active) this.replay.seek(this.replay.time - seconds);
+        this.refresh();
+    }
+
+    scrub(fraction) {
+        if(!this.active) this.toggle();
+        if(!this.active) return;
+        this.replay.seek(fraction * this.replay.duration);
+        this.refresh();
+    }
+
+    setSpeed(speed) {
+        if(this.active) this.replay.speed = parseFloat(speed);
+    }
+
+    save() {
+        const recording = this.active ? this.replay.recording : this.recorder.toJSON();
+        const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `${recording.variant}-seed${recording.seed}.json`;
+        a.click();
+        URL.revokeObjectURL(a.href);
+    }
+
+    load(file) {
+        if(!file) return;
+        file.text()
+            .then(text => this.enter(JSON.parse(text)))
+            .catch(() => this.onError('COULD NOT READ RECORDING'));
+    }
+
+    // Per rendered frame, with unscaled wall time
+    update(dt) {
+        if(!this.active) {
+            this.refresh(); // Live: the recorded span keeps growing
+            return;
+        }
+        const wasPlaying = this.replay.playing;
+        this.replay.update(dt);
+        if(wasPlaying) this.refresh();
+    }
+
+    refresh() {
+        const duration = this.active ? this.replay.duration : this.recorder.duration;
+        const time = this.active ? this.replay.time : duration;
+        this.el('timeline-scrub').value = duration > 0 ? Math.round(time / duration * 1000) : 1000;
+        this.el('timeline-time').innerText = `${time.toFixed(1)}s / ${duration.toFixed(1)}s`;
+        this.el('replay-play-btn').innerText = this.active && this.replay.playing ? 'PAUSE' : 'PLAY';
+    }
+}
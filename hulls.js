@@ -0,0 +1,15 @@
+import * as THREE from 'three';
+
+// --- HULL GEOMETRY (Meshes for the core/units.js hull shapes) ---
+// Every shape is built unit-sized, then stretched to hull.size * hull.scale,
+// with +z as the nose so Object3D.lookAt points it along the velocity.
+export function hullGeometry(hull) {
+    let geometry;
+    if(hull.shape === 'tetra') geometry = new THREE.TetrahedronGeometry(1);
+    else if(hull.shape === 'octa') geometry = new THREE.OctahedronGeometry(1);
+    else if(hull.shape === 'turret') geometry = new THREE.CylinderGeometry(0.35, 0.5, 1, 8);
+    else geometry = new THREE.BoxGeometry(1, 1, 1);
+
+    const [x, y, z] = hull.size;
+    return geometry.scale(x * hull.scale, y * hull.scale, z * hull.scale);
+}
@@ -0,0 +1,187 @@
+import * as THREE from 'three';
+
+// --- RENDER POOLS (Reused meshes, spark emitters and a fixed light budget) ---
+// Short-lived visuals are built once and handed out again, rather than making a
+// fresh geometry and material for every shot and blast and leaving them on the
+// GPU. Flashes share a fixed set of lights that never leave the scene, because
+// adding or removing a light recompiles the shader of every lit material.
+
+// Keeps released objects for reuse; `create()` makes one when none are free
+export class Pool {
+    constructor(create) {
+        this.create = create;
+        this.free = [];
+        this.all = []; // Everything ever made, so it can all be disposed
+    }
+
+    acquire() {
+        if(this.free.length) return this.free.pop();
+        const item = this.create();
+        this.all.push(item);
+        return item;
+    }
+
+    release(item) {
+        this.free.push(item);
+    }
+
+    forEach(fn) {
+        this.all.forEach(fn);
+    }
+}
+
+// `count` point lights, dark until a flash borrows one. A flash takes whichever
+// is dimmest, which is the oldest since they all fade at the same rate.
+export class LightBudget {
+    constructor(scene, count, distance) {
+        this.lights = [];
+        for(let i = 0; i < count; i++) {
+            const light = new THREE.PointLight(0xffffff, 0, distance);
+            scene.add(light);
+            this.lights.push(light);
+        }
+    }
+
+    flash(position, color, intensity) {
+        const light = this.lights.reduce((a, b) => (b.intensity < a.intensity ? b : a));
+        light.position.copy(position);
+        light.color.set(color);
+        light.intensity = intensity;
+    }
+
+    // Dims every light by `factor`
+    fade(factor) {
+        this.lights.forEach(light => light.intensity *= factor);
+    }
+
+    clear() {
+        this.lights.forEach(light => light.intensity = 0);
+    }
+}
+
+// Bursts of sparks flying out from a point and fading, up to `capacity` sparks each.
+// Ages are in 60Hz frames, like the FX systems that use them.
+export class SparkEmitters {
+    constructor(parent, capacity) {
+        this.parent = parent;
+        this.capacity = capacity;
+        this.active = [];
+        this.pool = new Pool(() => {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(capacity * 3), 3));
+            const points = new THREE.Points(geometry, new THREE.PointsMaterial({ transparent: true }));
+            points.frustumCulled = false; // Its bounds move with every burst
+            return { points, velocities: new Float32Array(capacity * 3), count: 0, decay: 0 };
+        });
+    }
+
+    // `count` sparks at up to `speed` per frame on each axis, losing `decay` opacity a frame
+    emit(position, { count, speed, color, size, decay }) {
+        const e = this.pool.acquire();
+        e.count = Math.min(Math.round(count), this.capacity);
+        e.decay = decay;
+        const pos = e.points.geometry.attributes.position.array;
+        for(let i = 0; i < e.count * 3; i += 3) {
+            pos[i] = position.x; pos[i+1] = position.y; pos[i+2] = position.z;
+            e.velocities[i] = (Math.random()-0.5) * speed;
+            e.velocities[i+1] = (Math.random()-0.5) * speed;
+            e.velocities[i+2] = (Math.random()-0.5) * speed;
+        }
+        e.points.geometry.setDrawRange(0, e.count);
+        e.points.geometry.attributes.position.needsUpdate = true;
+        e.points.material.color.set(color);
+        e.points.material.size = size;
+        e.points.material.opacity = 1;
+        this.parent.add(e.points);
+        this.active.push(e);
+    }
+
+    // `k` is the fraction of a 60Hz frame that has passed
+    update(k) {
+        for(let i = this.active.length - 1; i >= 0; i--) {
+            const e = this.active[i];
+            const pos = e.points.geometry.attributes.position.array;
+            for(let j = 0; j < e.count * 3; j++) pos[j] += e.velocities[j] * k;
+            e.points.geometry.attributes.position.needsUpdate = true;
+            e.points.material.opacity -= e.decay * k;
+            if(e.points.material.opacity <= 0) this.release(i);
+        }
+    }
+
+    release(i) {
+        const e = this.active[i];
+        this.parent.remove(e.points);
+        this.active.splice(i, 1);
+        this.pool.release(e);
+    }
+
+    clear() {
+        while(this.active.length) this.release(this.active.length - 1);
+    }
+
+    dispose() {
+        this.clear();
+        this.pool.forEach(e => {
+            e.points.geometry.dispose();
+            e.points.material.dispose();
+        });
+    }
+}
+
+// Laser beams: straight lines that last `life` frames, losing `fade` opacity a frame
+export class LaserLines {
+    constructor(parent) {
+        this.parent = parent;
+        this.active = [];
+        this.pool = new Pool(() => {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+            const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({ transparent: true }));
+            line.frustumCulled = false; // Its bounds move with every shot
+            return { line, age: 0, life: 0, fade: 0 };
+        });
+    }
+
+    emit(from, to, { color, life, opacity = 1, fade = 0 }) {
+        const l = this.pool.acquire();
+        const pos = l.line.geometry.attributes.position;
+        pos.setXYZ(0, from.x, from.y, from.z);
+        pos.setXYZ(1, to.x, to.y, to.z);
+        pos.needsUpdate = true;
+        l.line.material.color.set(color);
+        l.line.material.opacity = opacity;
+        l.age = 0;
+        l.life = life;
+        l.fade = fade;
+        this.parent.add(l.line);
+        this.active.push(l);
+    }
+
+    update(k) {
+        for(let i = this.active.length - 1; i >= 0; i--) {
+            const l = this.active[i];
+            l.age += k;
+            l.line.material.opacity -= l.fade * k;
+            if(l.age > l.life) this.release(i);
+        }
+    }
+
+    release(i) {
+        const l = this.active[i];
+        this.parent.remove(l.line);
+        this.active.splice(i, 1);
+        this.pool.release(l);
+    }
+
+    clear() {
+        while(this.active.length) this.release(this.active.length - 1);
+    }
+
+    dispose() {
+        this.clear();
+        this.pool.forEach(l => {
+            l.line.geometry.dispose();
+            l.line.material.dispose();
+        });
+    }
+}
@@ -3,28 +3,27 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
-
-// --- CONFIGURATION ---
-const CONFIG = {
-    worldSize: 1200,
-    seaLevel: 0,
-    baseSpeed: 1.0, 
-    slowMoSpeed: 0.1,
-    maxAgents: 80,
-    teams: {
-        CYAN:   { type: 'AIR',   color: 0x00f3ff, hp: 50, speed: 3.0, range: 400 },
-        MAGENTA:{ type: 'SEA',   color: 0xff00ff, hp: 150, speed: 1.2, range: 250 },
-        LIME:   { type: 'LAND',  color: 0xccff00, hp: 200, speed: 0.0, range: 500 } // Stationary Turrets
-    }
-};
-
-const randomRange = (min, max) => Math.random() * (max - min) + min;
-
-// --- ENVIRONMENT BUILDER ---
-class Environment {
-    constructor(scene) {
+import { CONFIG, Environment, MultiDomainBattle, unitStats } from './core/multidomain.js';
+import { Random } from './core/random.js';
+import { FixedStepLoop } from './core/loop.js';
+import { BattleRecorder } from './core/recorder.js';
+import { ReplayController } from './hud/timeline.js';
+import { ScenarioDirector, createScenarioBattle, fetchScenario, scenarioPathFromQuery } from './core/scenario.js';
+import { hullGeometry } from './hulls.js';
+import { Pool, LightBudget, SparkEmitters } from './pools.js';
+import { stateSummary } from './hud/states.js';
+import { controllersFromQuery } from './core/controllers.js';
+import { CombatLog } from './core/combatlog.js';
+import { killFeed, lossSummary, aceSummary } from './hud/kills.js';
+import { createBattleMatch } from './battlematch.js';
+import { showReport } from './hud/report.js';
+
+// --- ENVIRONMENT RENDERER ---
+class EnvironmentView {
+    constructor(scene, env) {
         this.scene = scene;
-        this.obstacles = []; // Collision objects
+        this.structures = new THREE.Group();
+        scene.add(this.structures);
 
         // 1. THE OCEAN SURFACE (Transparent Plane)
         const seaGeo = new THREE.PlaneGeometry(CONFIG.worldSize * 2, CONFIG.worldSize * 2);
@@ -40,324 +39,364 @@ class Environment {
         grid.position.y = -300;
         scene.add(grid);
 
-        // 3. HARD-CODED STRUCTURES (Islands & Sea Labs)
-        this.generateStructures();
-    }
+        // 2b. THE THERMOCLINE (Faint sheet where sound stops carrying)
+        const layer = new THREE.Mesh(seaGeo, new THREE.MeshBasicMaterial({
+            color: 0x003355, transparent: true, opacity: 0.12, side: THREE.DoubleSide, depthWrite: false
+        }));
+        layer.rotation.x = -Math.PI / 2;
+        layer.position.y = (CONFIG.thermocline.top + CONFIG.thermocline.bottom) / 2;
+        scene.add(layer);
 
-    generateStructures() {
-        // Shared Material for obstacles
-        const obsMat = new THREE.MeshStandardMaterial({ 
+        // 3. STRUCTURES (Islands & Sea Labs from the core environment)
+        this.obsMat = new THREE.MeshStandardMaterial({ 
             color: 0x111111, roughness: 0.1, metalness: 0.9, 
             emissive: 0x222222, emissiveIntensity: 0.5 
         });
+        this.buildStructures(env);
+    }
 
-        // A. SURFACE ISLANDS (Blocks)
-        for(let i=0; i<8; i++) {
-            const w = randomRange(40, 100);
-            const h = randomRange(50, 150);
-            const d = randomRange(40, 100);
-            const geo = new THREE.BoxGeometry(w, h, d);
-            const mesh = new THREE.Mesh(geo, obsMat);
-            
-            mesh.position.set(randomRange(-500, 500), h/2 - 20, randomRange(-500, 500));
-            this.scene.add(mesh);
-            this.obstacles.push({ mesh: mesh, type: 'LAND_OBSTACLE' });
-        }
-
-        // B. DEEP SEA LABS (Spheres)
-        for(let i=0; i<6; i++) {
-            const geo = new THREE.IcosahedronGeometry(randomRange(30, 60), 1);
-            const mesh = new THREE.Mesh(geo, obsMat);
-            mesh.position.set(randomRange(-500, 500), randomRange(-250, -50), randomRange(-500, 500));
-            this.scene.add(mesh);
-            this.obstacles.push({ mesh: mesh, type: 'SEA_OBSTACLE' });
-        }
+    // Replays of another seed or scenario swap in that battle's terrain
+    buildStructures(env) {
+        this.structures.children.forEach(mesh => mesh.geometry.dispose());
+        this.structures.clear();
+        env.obstacles.forEach(o => {
+            const geo = o.type === 'LAND_OBSTACLE'
+                ? new THREE.BoxGeometry(o.size.w, o.size.h, o.size.d)
+                : new THREE.IcosahedronGeometry(o.radius, 1);
+            const mesh = new THREE.Mesh(geo, this.obsMat);
+            mesh.position.copy(o.position);
+            this.structures.add(mesh);
+        });
     }
 }
 
-// --- PROJECTILE SYSTEM (Bombs, Missiles, Torpedoes) ---
-class Projectile {
-    constructor(scene, start, target, type, color) {
-        this.scene = scene;
-        this.pos = start.clone();
-        this.target = target;
-        this.type = type; // 'LASER', 'BOMB', 'TORPEDO'
-        this.active = true;
-        this.color = color;
+// --- UNIT RENDERER (Meshes mirror core agents & projectiles) ---
+const HIT_FLASH = 0.2; // Seconds a unit glows brighter after a hit
 
-        // Physics Setup
-        if(type === 'BOMB') this.vel = new THREE.Vector3(0, -2, 0); // Gravity
-        else if(type === 'TORPEDO') this.vel = target.position.clone().sub(start).normalize().multiplyScalar(1.5);
-        else this.vel = target.position.clone().sub(start).normalize().multiplyScalar(8); // Laser is fast
-
-        // Visuals
-        const geo = type === 'LASER' ? new THREE.BoxGeometry(1,1,6) : new THREE.SphereGeometry(1.5);
-        const mat = new THREE.MeshBasicMaterial({ color: color });
-        this.mesh = new THREE.Mesh(geo, mat);
-        this.mesh.position.copy(this.pos);
-        scene.add(this.mesh);
+class UnitView {
+    constructor(scene, battle) {
+        this.scene = scene;
+        this.battle = battle;
+        this.agentMeshes = new Map();
+        this.projectileMeshes = new Map();
+        this.group = new THREE.Group();
+        scene.add(this.group);
+
+        // Meshes go back to a pool when their unit dies or their shot ends. Hulls of a kind
+        // share one geometry; each agent mesh keeps its own material so hits flash it alone.
+        this.agentPools = new Map(); // 'TEAM:UNIT' -> Pool
+        this.hullGeometries = new Map(); // 'TEAM:UNIT' -> geometry
+        this.projectileGeometries = {
+            LASER: new THREE.BoxGeometry(1,1,6),
+            MISSILE: new THREE.ConeGeometry(0.8, 5, 6).rotateX(Math.PI / 2), // Nose along +z
+            ROUND: new THREE.SphereGeometry(1.5) // Bombs and torpedoes
+        };
+        this.projectileMaterials = new Map(); // Color -> material
+        this.projectilePool = new Pool(() => new THREE.Mesh());
+
+        // Fog of war: with a `viewTeam` set, enemies show only while that team tracks them,
+        // and lost contacts as wireframe ghosts at their last-known positions
+        this.viewTeam = null;
+        this.ghosts = []; // Pooled, shown as needed
+        this.ghostGeometry = new THREE.OctahedronGeometry(4);
+        this.ghostMaterials = new Map(); // Team -> material
+        this.buoyMeshes = new Map();
+        this.buoyGeometry = new THREE.CylinderGeometry(1, 1, 4, 6);
+        this.buoyMaterials = new Map(); // Team -> material
+
+        battle.events.on('agentAdded', a => this.addAgent(a));
+        battle.events.on('agentRemoved', a => this.removeAgent(a));
+        battle.events.on('projectileAdded', p => this.addProjectile(p));
+        battle.events.on('projectileRemoved', p => this.removeProjectile(p));
+        battle.events.on('sonobuoyAdded', b => this.addBuoy(b));
+        battle.events.on('sonobuoyRemoved', b => this.removeBuoy(b));
+        battle.events.on('damage', ({ agent }) => {
+            const mesh = this.agentMeshes.get(agent);
+            if(mesh) mesh.userData.hitAt = battle.time; // Flashes in sync()
+        });
+        // The dead don't come back, so their meshes go back to the pool
+        battle.events.on('explosion', ({ agent }) => { if(agent) this.removeAgent(agent); });
     }
 
-    update(dt) {
-        if(!this.active) return;
-
-        // Logic per type
-        if(this.type === 'BOMB') {
-            this.vel.y -= 0.1 * dt * 60; // Gravity accel
-        } else if (this.type === 'TORPEDO') {
-            // Homing logic (slow turn)
-            if(this.target && this.target.alive) {
-                const ideal = this.target.position.clone().sub(this.pos).normalize().multiplyScalar(1.5);
-                this.vel.lerp(ideal, 0.05);
-            }
+    agentPool(agent) {
+        const key = `${agent.team}:${agent.unit}`;
+        let pool = this.agentPools.get(key);
+        if(!pool) {
+            const geometry = hullGeometry(agent.stats.hull);
+            pool = new Pool(() => new THREE.Mesh(geometry, new THREE.MeshStandardMaterial({
+                color: 0x111111, emissive: agent.stats.color, emissiveIntensity: 3, roughness: 0.2
+            })));
+            this.agentPools.set(key, pool);
+            this.hullGeometries.set(key, geometry);
         }
+        return pool;
+    }
 
-        this.pos.add(this.vel.clone().multiplyScalar(dt * 60));
-        this.mesh.position.copy(this.pos);
-        this.mesh.lookAt(this.pos.clone().add(this.vel));
+    addAgent(agent) {
+        const mesh = this.agentPool(agent).acquire();
+        mesh.position.copy(agent.position);
+        mesh.visible = true;
+        mesh.userData.hitAt = -Infinity;
+        this.group.add(mesh);
+        this.agentMeshes.set(agent, mesh);
+    }
 
-        // SPLASH CHECK (Water surface interaction)
-        if(this.pos.y < 5 && this.pos.y > -5 && this.type === 'BOMB') {
-            window.sim.fx.createSplash(this.pos);
-        }
+    removeAgent(agent) {
+        const mesh = this.agentMeshes.get(agent);
+        if(!mesh) return;
+        this.group.remove(mesh);
+        this.agentPool(agent).release(mesh);
+        this.agentMeshes.delete(agent);
+    }
 
-        // COLLISION CHECK
-        if(this.target && this.target.alive && this.pos.distanceTo(this.target.position) < 15) {
-            this.target.takeDamage(25, this.type); // Hit!
-            this.kill();
+    addProjectile(p) {
+        let mat = this.projectileMaterials.get(p.color);
+        if(!mat) {
+            mat = new THREE.MeshBasicMaterial({ color: p.color });
+            this.projectileMaterials.set(p.color, mat);
         }
-
-        // Timeout distance
-        if(this.pos.length() > CONFIG.worldSize) this.kill();
+        const mesh = this.projectilePool.acquire();
+        mesh.geometry = this.projectileGeometries[p.type] || this.projectileGeometries.ROUND;
+        mesh.material = mat;
+        mesh.position.copy(p.pos);
+        this.group.add(mesh);
+        this.projectileMeshes.set(p, mesh);
     }
 
-    kill() {
-        this.active = false;
-        this.scene.remove(this.mesh);
+    removeProjectile(p) {
+        const mesh = this.projectileMeshes.get(p);
+        if(!mesh) return;
+        this.group.remove(mesh);
+        this.projectilePool.release(mesh);
+        this.projectileMeshes.delete(p);
     }
-}
 
-// --- AGENT CLASS (Polymorphic-ish) ---
-class Agent {
-    constructor(scene, teamKey, sim) {
-        this.scene = scene;
-        this.team = teamKey;
-        this.sim = sim;
-        this.stats = CONFIG.teams[teamKey];
-        this.hp = this.stats.hp;
-        this.alive = true;
-        
-        // --- DOMAIN LOGIC ---
-        if(this.stats.type === 'AIR') {
-            this.position = new THREE.Vector3(randomRange(-400,400), randomRange(100, 300), randomRange(-400,400));
-            this.velocity = new THREE.Vector3(1,0,0);
-            this.geometry = new THREE.TetrahedronGeometry(2);
-        } 
-        else if (this.stats.type === 'SEA') {
-            this.position = new THREE.Vector3(randomRange(-400,400), randomRange(-200, -20), randomRange(-400,400));
-            this.velocity = new THREE.Vector3(0.5,0,0);
-            this.geometry = new THREE.BoxGeometry(3, 1, 6); // Submarine shape
-        }
-        else { // LAND (Stationary Turret)
-            // Spawn on top of a random land obstacle
-            const obs = sim.env.obstacles.filter(o => o.type === 'LAND_OBSTACLE');
-            if(obs.length > 0) {
-                const land = obs[Math.floor(Math.random()*obs.length)].mesh;
-                this.position = land.position.clone();
-                this.position.y += land.geometry.parameters.height/2 + 2; // Sit on top
-            } else {
-                this.position = new THREE.Vector3(0, 10, 0);
-            }
-            this.velocity = new THREE.Vector3(0,0,0); // Stationary
-            this.geometry = new THREE.CylinderGeometry(2, 3, 4, 8);
+    // Floats on the surface above its hydrophone
+    addBuoy(buoy) {
+        let mat = this.buoyMaterials.get(buoy.team);
+        if(!mat) {
+            mat = new THREE.MeshBasicMaterial({ color: CONFIG.teams[buoy.team].color });
+            this.buoyMaterials.set(buoy.team, mat);
         }
-
-        const mat = new THREE.MeshStandardMaterial({ 
-            color: 0x111111, emissive: this.stats.color, emissiveIntensity: 3, roughness: 0.2
-        });
-        
-        this.mesh = new THREE.Mesh(this.geometry, mat);
-        this.mesh.position.copy(this.position);
-        scene.add(this.mesh);
+        const mesh = new THREE.Mesh(this.buoyGeometry, mat);
+        mesh.position.set(buoy.position.x, CONFIG.seaLevel, buoy.position.z);
+        this.group.add(mesh);
+        this.buoyMeshes.set(buoy, mesh);
     }
 
-    update(dt, agents) {
-        if(!this.alive) return;
+    removeBuoy(buoy) {
+        const mesh = this.buoyMeshes.get(buoy);
+        if(!mesh) return;
+        this.group.remove(mesh);
+        this.buoyMeshes.delete(buoy);
+    }
 
-        // TARGETING
-        if(!this.target || !this.target.alive) {
-            this.target = agents.find(a => a.alive && a.team !== this.team && this.position.distanceTo(a.position) < this.stats.range);
+    ghostMaterial(team) {
+        let mat = this.ghostMaterials.get(team);
+        if(!mat) {
+            mat = new THREE.MeshBasicMaterial({ color: CONFIG.teams[team].color, wireframe: true, transparent: true, opacity: 0.4 });
+            this.ghostMaterials.set(team, mat);
         }
+        return mat;
+    }
 
-        // MOVEMENT LOGIC
-        if(this.stats.type !== 'LAND') {
-            const desired = new THREE.Vector3();
-
-            if(this.target) {
-                // Intercept Logic
-                desired.subVectors(this.target.position, this.position).normalize();
-                
-                // Attack logic
-                if(Math.random() < 0.02) this.attack();
+    dispose() {
+        [...this.agentMeshes.keys()].forEach(a => this.removeAgent(a));
+        [...this.projectileMeshes.keys()].forEach(p => this.removeProjectile(p));
+        [...this.buoyMeshes.keys()].forEach(b => this.removeBuoy(b));
+        this.agentPools.forEach(pool => pool.forEach(mesh => mesh.material.dispose()));
+        this.hullGeometries.forEach(geo => geo.dispose());
+        Object.values(this.projectileGeometries).forEach(geo => geo.dispose());
+        this.projectileMaterials.forEach(mat => mat.dispose());
+        this.ghostGeometry.dispose();
+        this.ghostMaterials.forEach(mat => mat.dispose());
+        this.buoyGeometry.dispose();
+        this.buoyMaterials.forEach(mat => mat.dispose());
+        this.scene.remove(this.group);
+    }
 
+    // alpha blends the last two fixed steps so motion stays smooth between them
+    sync(alpha) {
+        // Recordings carry no contact pictures, so replays always show everything
+        const picture = this.viewTeam && this.battle.pictures ? this.battle.pictures[this.viewTeam] : null;
+        const time = this.battle.time;
+        for(const [agent, mesh] of this.agentMeshes) {
+            if(!agent.alive) continue;
+            mesh.visible = !picture || agent.team === this.viewTeam || picture.tracking(agent, time, CONFIG.trackTime);
+            const sinceHit = time - mesh.userData.hitAt;
+            mesh.material.emissiveIntensity = 3 + 6 * Math.max(0, 1 - sinceHit / HIT_FLASH);
+            mesh.position.lerpVectors(agent.prevPosition, agent.position, alpha);
+            if(agent.stats.domain === 'LAND') {
+                // TURRET (Rotate to face target only)
+                if(agent.target) mesh.lookAt(agent.target.position.x, agent.target.position.y, agent.target.position.z);
             } else {
-                // Patrol Logic (Stay in domain)
-                if(this.position.length() > 500) desired.subVectors(new THREE.Vector3(0, (this.stats.type==='AIR'?150:-100), 0), this.position).normalize();
-                else desired.copy(this.velocity).normalize();
-            }
-
-            // Domain Constraints (Don't let subs fly, don't let jets swim)
-            if(this.stats.type === 'AIR' && this.position.y < 20) desired.y += 1; // Pull up
-            if(this.stats.type === 'SEA' && this.position.y > -10) desired.y -= 1; // Dive
-
-            // Apply steering
-            const steer = this.velocity.clone().normalize().lerp(desired, 0.05).setLength(this.stats.speed);
-            this.velocity.copy(steer);
-            this.position.add(this.velocity.clone().multiplyScalar(dt * 60));
-            
-            // Visual Rotation
-            this.mesh.lookAt(this.position.clone().add(this.velocity));
-        } else {
-            // TURRET LOGIC (Rotate to face target only)
-            if(this.target) {
-                this.mesh.lookAt(this.target.position);
-                if(Math.random() < 0.04) this.attack();
+                // Visual Rotation (Jets roll with their lift vector)
+                const p = agent.position, v = agent.velocity;
+                if(agent.airframe) mesh.up.copy(agent.airframe.up);
+                mesh.lookAt(p.x + v.x, p.y + v.y, p.z + v.z);
             }
         }
-
-        this.mesh.position.copy(this.position);
-    }
-
-    attack() {
-        // Determine weapon type based on domain
-        let weaponType = 'LASER';
-        if(this.stats.type === 'AIR' && this.target.position.y < 10) weaponType = 'BOMB'; // Bomb ground/sea
-        if(this.stats.type === 'SEA') weaponType = 'TORPEDO'; // Subs use torpedoes
-
-        this.sim.spawnProjectile(this.position, this.target, weaponType, this.stats.color);
-    }
-
-    takeDamage(amt, type) {
-        this.hp -= amt;
-        this.mesh.scale.multiplyScalar(0.95); // Visual feedback
-        if(this.hp <= 0 && this.alive) {
-            this.sim.registerKill(this.team);
-            this.explode();
+        for(const [p, mesh] of this.projectileMeshes) {
+            mesh.position.lerpVectors(p.prevPos, p.pos, alpha);
+            mesh.lookAt(p.pos.x + p.vel.x, p.pos.y + p.vel.y, p.pos.z + p.vel.z);
         }
+        for(const [buoy, mesh] of this.buoyMeshes) mesh.visible = !picture || buoy.team === this.viewTeam;
+        this.syncGhosts(picture, time);
     }
 
-    explode() {
-        this.alive = false;
-        this.mesh.visible = false;
-        // Big Explosion for bigger units
-        const scale = this.stats.type === 'LAND' ? 3.0 : 1.5;
-        this.sim.fx.createExplosion(this.position, this.stats.color, scale);
+    // One ghost per contact the view team has lost track of
+    syncGhosts(picture, time) {
+        let shown = 0;
+        if(picture) picture.contacts.forEach(c => {
+            if(time - c.lastSeen <= CONFIG.trackTime) return;
+            let ghost = this.ghosts[shown];
+            if(!ghost) {
+                ghost = new THREE.Mesh(this.ghostGeometry);
+                this.group.add(ghost);
+                this.ghosts.push(ghost);
+            }
+            ghost.material = this.ghostMaterial(c.team);
+            ghost.position.copy(c.position);
+            ghost.visible = true;
+            shown++;
+        });
+        for(let i = shown; i < this.ghosts.length; i++) this.ghosts[i].visible = false;
     }
 }
 
 // --- FX SYSTEM ---
+// Everything here is pooled: sparks, shockwaves, splashes and pings are reused, and
+// explosions flash one of a fixed set of lights.
+const FX_LIGHTS = 4;
+const FX_SPARKS = 64; // Most sparks in one burst
+
 class FXSystem {
     constructor(scene) {
         this.scene = scene;
-        this.particles = [];
+        this.particles = []; // Shockwaves, splashes and pings in flight
+        this.lights = new LightBudget(scene, FX_LIGHTS, 200);
+        this.sparks = new SparkEmitters(scene, FX_SPARKS);
+
+        this.shockGeometry = new THREE.SphereGeometry(1, 16, 16);
+        this.splashGeometry = new THREE.RingGeometry(1, 2, 16);
+        this.pingGeometry = new THREE.SphereGeometry(1, 16, 12);
+        this.pools = {
+            shock: new Pool(() => new THREE.Mesh(this.shockGeometry,
+                new THREE.MeshBasicMaterial({ color: 0xffffff, wireframe: true, transparent: true }))),
+            splash: new Pool(() => {
+                const mesh = new THREE.Mesh(this.splashGeometry,
+                    new THREE.MeshBasicMaterial({ color: 0xffffff, side: THREE.DoubleSide, transparent: true }));
+                mesh.rotation.x = -Math.PI/2;
+                return mesh;
+            }),
+            ping: new Pool(() => new THREE.Mesh(this.pingGeometry,
+                new THREE.MeshBasicMaterial({ wireframe: true, transparent: true })))
+        };
+    }
+
+    // Takes a mesh from the `kind` pool and places it at `pos`
+    spawn(kind, pos) {
+        const mesh = this.pools[kind].acquire();
+        mesh.position.copy(pos);
+        mesh.scale.setScalar(1);
+        mesh.material.opacity = 1;
+        this.scene.add(mesh);
+        const p = { kind, mesh, age: 0 };
+        this.particles.push(p);
+        return p;
     }
 
     createExplosion(pos, color, scale) {
         // 1. Light Flash
-        const light = new THREE.PointLight(color, 10 * scale, 200);
-        light.position.copy(pos);
-        this.scene.add(light);
-        
+        this.lights.flash(pos, color, 10 * scale);
         // 2. Debris Particles
-        const geo = new THREE.BufferGeometry();
-        const pCount = 20 * scale;
-        const positions = [];
-        const vels = [];
-        
-        for(let i=0; i<pCount; i++) {
-            positions.push(pos.x, pos.y, pos.z);
-            vels.push((Math.random()-0.5)*5, (Math.random()-0.5)*5, (Math.random()-0.5)*5);
-        }
-        geo.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        const mat = new THREE.PointsMaterial({ color: color, size: 3*scale, transparent: true });
-        const mesh = new THREE.Points(geo, mat);
-        this.scene.add(mesh);
-        
+        this.sparks.emit(pos, { count: 20 * scale, speed: 5, color, size: 3*scale, decay: 0.02 });
         // 3. Shockwave Sphere
-        const shockGeo = new THREE.SphereGeometry(1, 16, 16);
-        const shockMat = new THREE.MeshBasicMaterial({ color: 0xffffff, wireframe: true, transparent: true });
-        const shock = new THREE.Mesh(shockGeo, shockMat);
-        shock.position.copy(pos);
-        this.scene.add(shock);
-
-        this.particles.push({ mesh, light, shock, vels, age: 0 });
+        this.spawn('shock', pos);
         window.sim.shaker.trigger(0.5 * scale);
     }
 
+    // Projectiles bursting on terrain and hulls scraping it: sparks only, no light or shake
+    createImpact(pos, color) {
+        this.sparks.emit(pos, { count: 8, speed: 3, color, size: 2, decay: 0.02 });
+    }
+
+    // Simple ring on water surface
     createSplash(pos) {
-        // Simple ring on water surface
-        const geo = new THREE.RingGeometry(1, 2, 16);
-        const mat = new THREE.MeshBasicMaterial({ color: 0xffffff, side: THREE.DoubleSide, transparent: true });
-        const mesh = new THREE.Mesh(geo, mat);
-        mesh.position.set(pos.x, 0.5, pos.z);
-        mesh.rotation.x = -Math.PI/2;
-        this.scene.add(mesh);
-        
-        // Hacky: Reuse particle logic structure but mark as splash
-        this.particles.push({ mesh, isSplash: true, age: 0 });
+        this.spawn('splash', pos).mesh.position.y = 0.5;
+    }
+
+    // Active sonar: a wireframe shell swelling out to the ping's range
+    createPing(pos, range, color) {
+        const p = this.spawn('ping', pos);
+        p.mesh.material.color.set(color);
+        p.mesh.material.opacity = 0.5;
+        p.range = range;
     }
 
-    update() {
+    release(i) {
+        const p = this.particles[i];
+        this.scene.remove(p.mesh);
+        this.pools[p.kind].release(p.mesh);
+        this.particles.splice(i, 1);
+    }
+
+    // Drops every effect in flight, for a fresh battle or a jump in a replay
+    clear() {
+        while(this.particles.length) this.release(this.particles.length - 1);
+        this.sparks.clear();
+        this.lights.clear();
+    }
+
+    // dt is scaled sim time, so FX play at the same speed on any refresh rate
+    update(dt) {
+        const k = dt * 60; // Fraction of a 60Hz frame
+        this.sparks.update(k);
+        this.lights.fade(Math.pow(0.8, k));
         for(let i=this.particles.length-1; i>=0; i--) {
             const p = this.particles[i];
-            p.age++;
-
-            if(p.isSplash) {
-                p.mesh.scale.multiplyScalar(1.1);
-                p.mesh.material.opacity -= 0.05;
-                if(p.mesh.material.opacity <= 0) {
-                    this.scene.remove(p.mesh);
-                    this.particles.splice(i, 1);
-                }
+            p.age += k;
+
+            if(p.kind === 'ping') {
+                // Out to full range in a second, fading as it goes
+                const share = Math.min(1, p.age / 60);
+                p.mesh.scale.setScalar(Math.max(1, p.range * share));
+                p.mesh.material.opacity = 0.5 * (1 - share);
+                if(share >= 1) this.release(i);
                 continue;
             }
 
-            // Explosion Update
-            p.shock.scale.multiplyScalar(1.15);
-            p.shock.material.opacity -= 0.05;
-            p.light.intensity *= 0.8;
-            
-            const pos = p.mesh.geometry.attributes.position.array;
-            for(let j=0; j<pos.length/3; j++) {
-                pos[j*3] += p.vels[j*3];
-                pos[j*3+1] += p.vels[j*3+1];
-                pos[j*3+2] += p.vels[j*3+2];
-            }
-            p.mesh.geometry.attributes.position.needsUpdate = true;
-            p.mesh.material.opacity -= 0.02;
-
-            if(p.mesh.material.opacity <= 0) {
-                this.scene.remove(p.mesh); this.scene.remove(p.light); this.scene.remove(p.shock);
-                this.particles.splice(i, 1);
-            }
+            // Shockwaves and splashes swell and fade
+            p.mesh.scale.multiplyScalar(Math.pow(p.kind === 'shock' ? 1.15 : 1.1, k));
+            p.mesh.material.opacity -= 0.05 * k;
+            if(p.mesh.material.opacity <= 0) this.release(i);
         }
     }
 }
 
-// --- MAIN SIMULATION ---
+// --- MAIN SIMULATION (Render adapter around the headless battle) ---
 class Simulation {
-    constructor() {
+    // `scenario` (already validated) replaces the default skirmish; `scenarioError` is shown instead
+    constructor(scenario = null, scenarioError = null) {
+        this.scenario = scenario;
         this.container = document.getElementById('canvas-container');
         this.clock = new THREE.Clock();
-        this.agents = [];
-        this.projectiles = [];
-        this.scores = { CYAN: 0, MAGENTA: 0, LIME: 0 };
         this.timeScale = CONFIG.baseSpeed;
         this.targetTimeScale = CONFIG.baseSpeed;
+        this.loop = new FixedStepLoop(CONFIG.fixedStep);
+        this.stateTimer = 0; // Seconds until the AI readout refreshes
 
         this.initThree();
-        this.env = new Environment(this.scene);
+        const seed = Random.seedFromQuery(location.search, scenario ? scenario.seed : undefined);
+        this.battle = scenario ? createScenarioBattle(scenario, seed) : new MultiDomainBattle(seed);
+        // ?controllers=CYAN:hunter hands teams to a registered AI controller; bad pairs are reported on the HUD
+        const { controllers, errors: controllerErrors } = controllersFromQuery(location.search, Object.keys(CONFIG.teams));
+        Object.entries(controllers).forEach(([team, name]) => this.battle.setController(team, name));
+        this.envView = new EnvironmentView(this.scene, this.battle.env);
+        this.units = new UnitView(this.scene, this.battle);
         this.fx = new FXSystem(this.scene);
+        this.bindBattleEvents();
+        this.initRecorder();
         
         // Camera Shaker
         this.shaker = { 
@@ -371,11 +410,135 @@ class Simulation {
             }
         };
 
+        document.getElementById('seed-value').innerText = this.battle.seed;
+        this.showFriendlyFire(); // A scenario may turn it on
         window.sim = this;
-        this.spawnAirWing();
+        if(scenarioError) showReport('SCENARIO', scenarioError.errors || [scenarioError.message]);
+        if(controllerErrors.length) showReport('CONTROLLERS', controllerErrors);
+        if(scenario) {
+            document.getElementById('sys-status').innerText = scenario.name.toUpperCase();
+            this.director = new ScenarioDirector(this.battle, scenario);
+            this.director.start();
+        } else {
+            this.spawnAirWing();
+        }
+        this.initMatch();
         this.animate();
     }
 
+    // Rounds, victory and best-of-N series; a scenario's director calls its own rounds
+    initMatch() {
+        const battle = this.battle;
+        const { match, hud } = createBattleMatch({
+            battle,
+            scene: this.scene,
+            teams: Object.keys(CONFIG.teams),
+            rules: CONFIG.match,
+            scenario: this.scenario,
+            scores: () => battle.scores,
+            restart: seed => this.restartBattle(seed)
+        });
+        this.match = match;
+        this.matchHUD = hud;
+    }
+
+    // Clears the field and deploys afresh on `seed`, without reloading the page
+    restartBattle(seed) {
+        if(this.replay.active) this.replay.exit();
+        this.battle.reset(seed); // A scenario's director redeploys on the reset
+        this.loop.reset();
+        this.fx.clear();
+        this.envView.buildStructures(this.battle.env);
+        if(!this.scenario) this.spawnAirWing();
+        document.getElementById('sys-status').innerText = this.scenario ? this.scenario.name.toUpperCase() : 'AIR / LAND / SEA';
+        document.getElementById('seed-value').innerText = this.battle.seed;
+        this.showScores(this.battle.scores);
+        this.showCombat(this.battle.combat);
+        this.updateHUD();
+    }
+
+    // Always recording, so anything interesting can be reviewed after the fact
+    initRecorder() {
+        this.recorder = new BattleRecorder(this.battle, { variant: 'multidomain', scenario: this.scenario });
+        this.recorder.start();
+        this.replay = new ReplayController({
+            recorder: this.recorder,
+            variant: 'multidomain',
+            describeAgent: info => ({ team: info.team, unit: info.unit, stats: unitStats(info.team, info.unit) }),
+            onEnter: replay => {
+                this.units.group.visible = false;
+                this.fx.clear();
+                this.replayUnits = new UnitView(this.scene, replay);
+                replay.events.on('explosion', e => this.fx.createExplosion(e.position, e.color, e.scale));
+                replay.events.on('splash', e => this.fx.createSplash(e.position));
+                replay.events.on('impact', e => this.fx.createImpact(e.position, e.color));
+                this.bindDamageFX(replay.events);
+                replay.events.on('ping', e => this.fx.createPing(e.position, e.range, e.agent ? e.agent.stats.color : 0xffffff));
+                replay.events.on('score', ({ scores }) => this.showScores(scores));
+                // The replay's stats are rebuilt from the kill records it has reached
+                const showCombat = () => {
+                    const log = new CombatLog(Object.keys(CONFIG.teams));
+                    replay.killRecords().forEach(record => log.add(record));
+                    this.showCombat(log);
+                };
+                replay.events.on('kill', showCombat);
+                replay.events.on('seek', showCombat);
+                replay.events.on('seek', () => this.fx.clear());
+                // Scenario recordings carry their hand-placed terrain, others rebuild from the seed
+                const recording = replay.recording;
+                const layout = recording.scenario ? recording.scenario.obstacles : null;
+                this.envView.buildStructures(new Environment(new Random(recording.seed), layout));
+            },
+            onExit: replay => {
+                this.replayUnits.dispose();
+                this.replayUnits = null;
+                this.fx.clear();
+                this.units.group.visible = true;
+                this.showScores(this.battle.scores);
+                this.showCombat(this.battle.combat);
+                this.envView.buildStructures(this.battle.env);
+            },
+            onError: msg => this.log(msg)
+        });
+    }
+
+    showScores(scores) {
+        Object.keys(scores).forEach(team => {
+            document.getElementById(`score-${team.toLowerCase()}`).innerText = scores[team];
+        });
+    }
+
+    // Kill feed, ace and losses from a combat log (core/combatlog.js)
+    showCombat(log) {
+        document.getElementById('kill-feed').innerText = killFeed(log);
+        document.getElementById('ace').innerText = aceSummary(log);
+        document.getElementById('losses').innerText = lossSummary(log);
+    }
+
+    bindBattleEvents() {
+        const events = this.battle.events;
+        events.on('explosion', e => this.fx.createExplosion(e.position, e.color, e.scale));
+        events.on('splash', e => this.fx.createSplash(e.position));
+        events.on('impact', e => this.fx.createImpact(e.position, e.color));
+        events.on('ping', e => this.fx.createPing(e.position, e.range, e.agent.stats.color));
+        this.bindDamageFX(events);
+        events.on('kill', ({ scores }) => {
+            this.showScores(scores);
+            this.showCombat(this.battle.combat);
+        });
+        events.on('agentAdded', () => this.updateHUD()); // Button spawns and scenario waves alike
+        ['rtb', 'rearmed', 'explosion'].forEach(type => events.on(type, () => this.updateHUD()));
+        events.on('victory', ({ name }) => {
+            document.getElementById('sys-status').innerText = name ? `${name.toUpperCase()} VICTORY` : 'DRAW';
+        });
+    }
+
+    // Fires smoke off in sparks each time they burn; critical hits throw a white burst
+    bindDamageFX(events) {
+        events.on('damage', e => { if(e.type === 'FIRE') this.fx.createImpact(e.agent.position, 0xff5500); });
+        events.on('critical', e => this.fx.createImpact(e.agent.position, 0xffffff));
+    }
+
     initThree() {
         this.scene = new THREE.Scene();
         this.scene.fog = new THREE.FogExp2(0x000511, 0.0015); // Dark Blue Fog
@@ -416,24 +579,19 @@ class Simulation {
     spawnGroundDefense() { this.spawnBatch('LIME', 4); }
 
     spawnBatch(team, count) {
-        if(this.agents.length >= CONFIG.maxAgents) return;
-        for(let i=0; i<count; i++) {
-            this.agents.push(new Agent(this.scene, team, this));
-        }
-        this.updateHUD();
+        this.battle.spawnBatch(team, count);
     }
 
-    spawnProjectile(start, target, type, color) {
-        this.projectiles.push(new Projectile(this.scene, start, target, type, color));
-    }
-
-    registerKill(team) {
-        this.scores[team]++;
-        document.getElementById(`score-${team.toLowerCase()}`).innerText = this.scores[team];
+    updateHUD() {
+        document.getElementById('agent-count').innerText = this.battle.agents.length;
+        document.getElementById('base-count').innerText = this.battle.atBaseCount();
     }
 
-    updateHUD() {
-        document.getElementById('agent-count').innerText = this.agents.length;
+    log(msg) {
+        const el = document.getElementById('combat-log');
+        el.innerText = msg;
+        el.style.color = '#fff';
+        setTimeout(() => el.style.color = '#888', 500);
     }
 
     toggleMatrixMode() {
@@ -444,32 +602,78 @@ class Simulation {
         btn.classList.toggle('active');
     }
 
+    toggleFriendlyFire() {
+        this.battle.friendlyFire = !this.battle.friendlyFire;
+        this.showFriendlyFire();
+    }
+
+    showFriendlyFire() {
+        const btn = document.getElementById('friendly-fire-btn');
+        btn.innerText = `FRIENDLY FIRE: ${this.battle.friendlyFire ? 'ON' : 'OFF'}`;
+        btn.classList.toggle('active', this.battle.friendlyFire);
+    }
+
+    // Steps the fog-of-war view through ALL and then each team's own picture
+    cycleViewTeam() {
+        const views = [null, ...Object.keys(CONFIG.teams)];
+        this.units.viewTeam = views[(views.indexOf(this.units.viewTeam) + 1) % views.length];
+        document.getElementById('view-btn').innerText = `VIEW: ${this.units.viewTeam || 'ALL'}`;
+    }
+
     reset() {
-        location.reload();
+        this.match.restart();
     }
 
     animate() {
         requestAnimationFrame(() => this.animate());
         
-        this.timeScale += (this.targetTimeScale - this.timeScale) * 0.1;
-        const dt = this.clock.getDelta() * this.timeScale;
+        const frameDt = Math.min(this.clock.getDelta(), CONFIG.maxFrameDt);
+        this.timeScale += (this.targetTimeScale - this.timeScale) * (1 - Math.pow(0.9, frameDt * 60));
+        const dt = frameDt * this.timeScale;
 
         this.shaker.update(this.camera);
         
-        // Update Entities
-        this.agents = this.agents.filter(a => a.alive);
-        this.agents.forEach(a => a.update(dt, this.agents));
-        
-        this.projectiles = this.projectiles.filter(p => p.active);
-        this.projectiles.forEach(p => p.update(dt));
+        // Live battle is frozen while the flight recorder is open
+        this.replay.update(frameDt);
+        if(this.replay.active) {
+            this.replayUnits.sync(1);
+        } else {
+            // The match clock runs on the battle's steps; forces stand frozen through the
+            // countdown and once the round is called
+            this.loop.advance(dt, step => {
+                this.match.update(step);
+                if(this.match.running) this.battle.update(step);
+            });
+            this.units.sync(this.loop.alpha);
+        }
 
-        this.fx.update();
+        this.fx.update(dt);
         this.controls.update();
         this.composer.render();
 
-        document.getElementById('fps-counter').innerText = Math.round(1/(dt/this.timeScale)) || 60;
+        document.getElementById('fps-counter').innerText = Math.round(1/frameDt) || 60;
         document.getElementById('depth-meter').innerText = Math.abs(Math.min(0, Math.round(this.camera.position.y)));
+
+        // AI readout (A few times a second is plenty)
+        this.stateTimer -= frameDt;
+        if(this.stateTimer <= 0 && !this.replay.active) {
+            this.stateTimer = 0.25;
+            document.getElementById('state-summary').innerText = stateSummary(this.battle.agents);
+            this.matchHUD.refresh();
+        }
     }
 }
 
-new Simulation();
+// ?scenario=scenarios/harbour-assault.json plays an authored battle; a broken file is
+// reported on the HUD and the default skirmish runs instead
+const scenarioPath = scenarioPathFromQuery(location.search);
+let scenario = null;
+let scenarioError = null;
+if(scenarioPath) {
+    try {
+        scenario = await fetchScenario(scenarioPath, 'multidomain');
+    } catch(e) {
+        scenarioError = e;
+    }
+}
+new Simulation(scenario, scenarioError);
@@ -3,217 +3,177 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
-
-// --- CONFIGURATION ---
-const CONFIG = {
-    worldSize: 1000,
-    maxAgents: 333,
-    baseSpeed: 1.0, 
-    slowMoSpeed: 0.1,
-    teams: {
-        CYAN: { 
-            name: 'CYAN', color: 0x00f3ff, shape: 'tetra', 
-            hp: 60, speed: 2.8, turn: 0.09, dmg: 8, 
-            formation: 'V-SHAPE' 
-        },
-        MAGENTA: { 
-            name: 'MAGENTA', color: 0xff00ff, shape: 'box', 
-            hp: 150, speed: 1.2, turn: 0.03, dmg: 30,
-            formation: 'WALL' 
-        },
-        LIME: { 
-            name: 'LIME', color: 0xccff00, shape: 'octa', 
-            hp: 90, speed: 2.2, turn: 0.07, dmg: 12,
-            formation: 'ECHELON' 
-        }
-    }
-};
-
-// --- CLASS: AGENT ---
-class Agent {
-    constructor(scene, teamKey, position, velocity) {
+import { CONFIG, SquadronBattle, unitConfig } from './core/squadron.js';
+import { Random } from './core/random.js';
+import { FixedStepLoop } from './core/loop.js';
+import { BattleRecorder } from './core/recorder.js';
+import { ReplayController } from './hud/timeline.js';
+import { ScenarioDirector, createScenarioBattle, fetchScenario, scenarioPathFromQuery } from './core/scenario.js';
+import { hullGeometry } from './hulls.js';
+import { SparkEmitters, LaserLines } from './pools.js';
+import { stateSummary } from './hud/states.js';
+import { controllersFromQuery } from './core/controllers.js';
+import { CombatLog } from './core/combatlog.js';
+import { killFeed, lossSummary, aceSummary } from './hud/kills.js';
+import { createBattleMatch } from './battlematch.js';
+import { showReport } from './hud/report.js';
+
+// --- CLASS: AGENT VIEW (Mesh + trail for one core agent) ---
+const FLASH_TIME = 0.05; // Seconds a hit lights a ship up
+
+class AgentView {
+    // `geometry` is the hull shared by every ship of this kind
+    constructor(scene, agent, geometry) {
         this.scene = scene;
-        this.team = teamKey;
-        this.config = CONFIG.teams[teamKey];
-        this.alive = true;
-        this.hp = this.config.hp;
-        this.target = null;
-        
-        // Physics
-        this.position = position.clone();
-        this.velocity = velocity.clone();
+        this.agent = agent;
+        const config = agent.config;
         
         // Visuals
-        let geometry;
-        if(this.config.shape === 'tetra') geometry = new THREE.TetrahedronGeometry(2);
-        else if(this.config.shape === 'box') geometry = new THREE.BoxGeometry(3, 1, 4);
-        else geometry = new THREE.OctahedronGeometry(2);
-
         const material = new THREE.MeshStandardMaterial({ 
             color: 0x222222, 
-            emissive: this.config.color,
+            emissive: config.color,
             emissiveIntensity: 2.0,
             roughness: 0.3,
             metalness: 0.8
         });
 
         this.mesh = new THREE.Mesh(geometry, material);
-        this.mesh.position.copy(this.position);
+        this.mesh.position.copy(agent.position);
         this.mesh.castShadow = true;
         scene.add(this.mesh);
+        this.flashTimer = 0;
 
         // Trail
         this.trailGeo = new THREE.BufferGeometry();
         this.trailPositions = new Float32Array(30 * 3);
         this.trailGeo.setAttribute('position', new THREE.BufferAttribute(this.trailPositions, 3));
-        this.trailMat = new THREE.LineBasicMaterial({ color: this.config.color, transparent: true, opacity: 0.4 });
+        this.trailMat = new THREE.LineBasicMaterial({ color: config.color, transparent: true, opacity: 0.4 });
         this.trail = new THREE.Line(this.trailGeo, this.trailMat);
         scene.add(this.trail);
     }
 
-    update(dt, agents) {
-        if (!this.alive) return;
-
-        // 1. AI: Find Enemy
-        if (!this.target || !this.target.alive) {
-            this.findTarget(agents);
-        }
+    // alpha blends the last two fixed steps so motion stays smooth between them
+    sync(alpha, dt) {
+        const p = this.mesh.position.lerpVectors(this.agent.prevPosition, this.agent.position, alpha);
+        const v = this.agent.velocity;
+        if(this.agent.airframe) this.mesh.up.copy(this.agent.airframe.up); // Bank into turns
+        this.mesh.lookAt(p.x + v.x, p.y + v.y, p.z + v.z);
+        this.flashTimer -= dt;
+        this.mesh.material.emissiveIntensity = this.flashTimer > 0 ? 5.0 : 2.0;
+        this.updateTrail();
+    }
 
-        // 2. Steering Logic
-        const desiredDirection = new THREE.Vector3();
-        
-        if (this.target && this.target.alive) {
-            // Combat Intercept
-            const leadPos = this.target.position.clone().add(this.target.velocity.clone().multiplyScalar(10));
-            desiredDirection.subVectors(leadPos, this.position).normalize();
-            
-            // Fire Weapon
-            const dist = this.position.distanceTo(this.target.mesh.position);
-            const angle = this.velocity.angleTo(desiredDirection);
-            if(dist < 150 && angle < 0.4) this.fire(dt);
-        } else {
-            // Patrol / Return to center
-            if (this.position.length() > CONFIG.worldSize / 2) {
-                desiredDirection.subVectors(new THREE.Vector3(0,0,0), this.position).normalize();
-            } else {
-                desiredDirection.copy(this.velocity).normalize();
-            }
-        }
+    flash() {
+        this.flashTimer = FLASH_TIME;
+    }
 
-        // Apply Physics
-        const currentDir = this.velocity.clone().normalize();
-        currentDir.lerp(desiredDirection, this.config.turn * dt * 60);
-        this.velocity.copy(currentDir).setLength(this.config.speed);
-        this.position.add(this.velocity.clone().multiplyScalar(dt * 60));
+    // The hull geometry is shared, so only what's this ship's own is freed
+    remove() {
+        this.scene.remove(this.mesh);
+        this.scene.remove(this.trail);
+        this.mesh.material.dispose();
+        this.trailGeo.dispose();
+        this.trailMat.dispose();
+    }
 
-        // Update Visuals
-        this.mesh.position.copy(this.position);
-        this.mesh.lookAt(this.position.clone().add(this.velocity));
-        
-        this.updateTrail();
+    updateTrail() {
+        const p = this.trail.geometry.attributes.position.array;
+        for (let i = p.length - 1; i > 2; i--) p[i] = p[i - 3];
+        p[0] = this.mesh.position.x; p[1] = this.mesh.position.y; p[2] = this.mesh.position.z;
+        this.trail.geometry.attributes.position.needsUpdate = true;
     }
+}
 
-    findTarget(agents) {
-        let minDist = Infinity;
-        let bestTarget = null;
-        for (const other of agents) {
-            if (other === this || !other.alive || other.team === this.team) continue;
-            const dist = this.position.distanceTo(other.position);
-            if (dist < 300 && dist < minDist) {
-                minDist = dist;
-                bestTarget = other;
-            }
-        }
-        this.target = bestTarget;
+// --- CLASS: SQUADRON VIEW (Every AgentView for one battle or replay) ---
+// Debris and laser lines come from pools, aged by sim time along with everything else.
+class SquadronView {
+    constructor(scene, source) {
+        this.scene = scene;
+        this.views = new Map();
+        this.hullGeometries = new Map(); // 'TEAM:UNIT' -> geometry
+        this.group = new THREE.Group();
+        scene.add(this.group);
+        this.debris = new SparkEmitters(this.group, 15);
+        this.lasers = new LaserLines(this.group);
+
+        const events = source.events;
+        events.on('agentAdded', a => this.views.set(a, new AgentView(this.group, a, this.hullGeometry(a))));
+        events.on('agentRemoved', a => this.removeView(a));
+        events.on('damage', ({ agent }) => {
+            const view = this.views.get(agent);
+            if(view) view.flash();
+        });
+        events.on('explosion', ({ agent, position, color }) => {
+            if(agent) this.removeView(agent);
+            window.sim.shaker.trigger(0.5);
+            this.debris.emit(position, { count: 15, speed: 4, color, size: 4, decay: 0.03 });
+        });
+        events.on('laser', ({ from, to }) => this.lasers.emit(from, to, { color: 0xffffff, life: 4 }));
+        // Nothing in flight outlives a fresh battle or a jump in the replay
+        events.on('reset', () => this.clearFX());
+        events.on('seek', () => this.clearFX());
     }
 
-    fire(dt) {
-        if(Math.random() < 0.05) { 
-           // Laser Visual
-           const laserGeo = new THREE.BufferGeometry().setFromPoints([this.position, this.target.position]);
-           const laserMat = new THREE.LineBasicMaterial({ color: 0xffffff });
-           const laser = new THREE.Line(laserGeo, laserMat);
-           this.scene.add(laser);
-           setTimeout(() => { 
-               this.scene.remove(laser); 
-               laserGeo.dispose(); laserMat.dispose();
-            }, 60);
-
-           // Damage
-           this.target.takeDamage(this.config.dmg, this.team);
+    hullGeometry(agent) {
+        const key = `${agent.team}:${agent.unit}`;
+        let geometry = this.hullGeometries.get(key);
+        if(!geometry) {
+            geometry = hullGeometry(agent.config.hull);
+            this.hullGeometries.set(key, geometry);
         }
+        return geometry;
     }
 
-    takeDamage(amount, attackerTeam) {
-        this.hp -= amount;
-        this.mesh.material.emissiveIntensity = 5.0; // Flash bright
-        setTimeout(() => { if(this.alive) this.mesh.material.emissiveIntensity = 2.0; }, 50);
+    removeView(agent) {
+        const view = this.views.get(agent);
+        if(view) view.remove();
+        this.views.delete(agent);
+    }
 
-        if(this.hp <= 0 && this.alive) {
-            window.sim.registerKill(attackerTeam, this.team);
-            this.explode();
-        }
+    clearFX() {
+        this.debris.clear();
+        this.lasers.clear();
     }
 
-    explode() {
-        this.alive = false;
-        this.mesh.visible = false;
-        this.trail.visible = false;
-        window.sim.shaker.trigger(0.5);
-
-        // Explosion Particles
-        const particleCount = 15;
-        const geo = new THREE.BufferGeometry();
-        const positions = [];
-        const velocities = [];
-        for(let i=0; i<particleCount; i++) {
-            positions.push(this.position.x, this.position.y, this.position.z);
-            velocities.push((Math.random()-0.5)*4, (Math.random()-0.5)*4, (Math.random()-0.5)*4);
-        }
-        geo.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        const mat = new THREE.PointsMaterial({ color: this.config.color, size: 4, transparent: true });
-        const particles = new THREE.Points(geo, mat);
-        this.scene.add(particles);
-
-        // Animate out
-        let frames = 0;
-        const anim = () => {
-            if(frames > 30) {
-                this.scene.remove(particles);
-                this.scene.remove(this.mesh);
-                this.scene.remove(this.trail);
-                return;
-            }
-            const pos = particles.geometry.attributes.position.array;
-            for(let i=0; i<particleCount*3; i++) pos[i] += velocities[Math.floor(i/3) * 3 + (i%3)];
-            particles.geometry.attributes.position.needsUpdate = true;
-            mat.opacity -= 0.03;
-            frames++;
-            requestAnimationFrame(anim);
-        };
-        anim();
+    sync(alpha, dt) {
+        const k = dt * 60; // Fraction of a 60Hz frame
+        this.views.forEach(view => view.sync(alpha, dt));
+        this.debris.update(k);
+        this.lasers.update(k);
     }
 
-    updateTrail() {
-        const p = this.trail.geometry.attributes.position.array;
-        for (let i = p.length - 1; i > 2; i--) p[i] = p[i - 3];
-        p[0] = this.position.x; p[1] = this.position.y; p[2] = this.position.z;
-        this.trail.geometry.attributes.position.needsUpdate = true;
+    dispose() {
+        this.views.forEach(view => view.remove());
+        this.views.clear();
+        this.debris.dispose();
+        this.lasers.dispose();
+        this.hullGeometries.forEach(geometry => geometry.dispose());
+        this.scene.remove(this.group);
     }
 }
 
-// --- MAIN SIMULATION ---
+// --- MAIN SIMULATION (Render adapter around the headless battle) ---
 class Simulation {
-    constructor() {
+    // `scenario` (already validated) replaces the default skirmish; `scenarioError` is shown instead
+    constructor(scenario = null, scenarioError = null) {
+        this.scenario = scenario;
         this.container = document.getElementById('canvas-container');
-        this.agents = [];
-        this.kills = { CYAN: 0, MAGENTA: 0, LIME: 0 };
+        const seed = Random.seedFromQuery(location.search, scenario ? scenario.seed : undefined);
+        this.battle = scenario ? createScenarioBattle(scenario, seed) : new SquadronBattle(seed);
+        // ?controllers=CYAN:hunter hands teams to a registered AI controller; bad pairs are reported on the HUD
+        const { controllers, errors: controllerErrors } = controllersFromQuery(location.search, Object.keys(CONFIG.teams));
+        Object.entries(controllers).forEach(([team, name]) => this.battle.setController(team, name));
+        this.loop = new FixedStepLoop(CONFIG.fixedStep);
+        this.stateTimer = 0; // Seconds until the AI readout refreshes
         this.clock = new THREE.Clock();
         this.timeScale = CONFIG.baseSpeed;
         this.targetTimeScale = CONFIG.baseSpeed;
         this.matrixMode = false;
 
         this.initThree();
+        this.squadron = new SquadronView(this.scene, this.battle);
+        this.bindBattleEvents();
+        this.initRecorder();
         
         // Simple camera shaker
         this.shaker = { 
@@ -222,25 +182,121 @@ class Simulation {
             }
         }; 
         
+        document.getElementById('seed-value').innerText = this.battle.seed;
         window.sim = this;
         
-        // Initial Spawns
-        this.spawnFormation('CYAN');
-        this.spawnFormation('MAGENTA');
-
-        // Auto-Spawn Loop
-        setInterval(() => {
-            if(this.agents.length < CONFIG.maxAgents) {
-                const teams = ['CYAN', 'MAGENTA', 'LIME'];
-                const r = teams[Math.floor(Math.random()*teams.length)];
-                this.spawnFormation(r);
-                this.log(`REINFORCEMENTS: ${r} WING ENTERING SECTOR`);
-            }
-        }, 5000);
+        if(scenarioError) showReport('SCENARIO', scenarioError.errors || [scenarioError.message]);
+        if(controllerErrors.length) showReport('CONTROLLERS', controllerErrors);
+        if(scenario) {
+            document.getElementById('sys-status').innerText = scenario.name.toUpperCase();
+            this.director = new ScenarioDirector(this.battle, scenario);
+            this.director.start();
+        } else {
+            // Initial Spawns
+            this.spawnFormation('CYAN');
+            this.spawnFormation('MAGENTA');
+        }
 
+        this.initMatch();
         this.animate();
     }
 
+    // Rounds, victory and best-of-N series; a scenario's director calls its own rounds
+    initMatch() {
+        const battle = this.battle;
+        const { match, hud } = createBattleMatch({
+            battle,
+            scene: this.scene,
+            teams: Object.keys(CONFIG.teams),
+            rules: CONFIG.match,
+            scenario: this.scenario,
+            scores: () => battle.kills,
+            restart: seed => this.restartBattle(seed)
+        });
+        this.match = match;
+        this.matchHUD = hud;
+        battle.events.on('roundEnd', ({ winner, reason }) => this.log(winner ? `${winner} WINS THE ROUND (${reason.toUpperCase()})` : 'ROUND DRAWN'));
+    }
+
+    // Clears the field and deploys afresh on `seed`, without reloading the page
+    restartBattle(seed) {
+        if(this.replay.active) this.replay.exit();
+        this.battle.reset(seed); // A scenario's director redeploys on the reset
+        this.loop.reset();
+        if(!this.scenario) {
+            this.spawnFormation('CYAN');
+            this.spawnFormation('MAGENTA');
+        }
+        document.getElementById('sys-status').innerText = this.scenario ? this.scenario.name.toUpperCase() : '333 (STABLE)';
+        document.getElementById('seed-value').innerText = this.battle.seed;
+        this.showScores(this.battle.kills);
+        this.showCombat(this.battle.combat);
+        this.updateHUD();
+    }
+
+    // Always recording, so anything interesting can be reviewed after the fact
+    initRecorder() {
+        this.recorder = new BattleRecorder(this.battle, { variant: 'squadron', scores: b => b.kills, scenario: this.scenario });
+        this.recorder.start();
+        this.replay = new ReplayController({
+            recorder: this.recorder,
+            variant: 'squadron',
+            describeAgent: info => ({ team: info.team, unit: info.unit, config: unitConfig(info.team, info.unit) }),
+            onEnter: replay => {
+                this.squadron.group.visible = false;
+                this.replaySquadron = new SquadronView(this.scene, replay);
+                replay.events.on('score', ({ scores }) => this.showScores(scores));
+                // The replay's stats are rebuilt from the kill records it has reached
+                const showCombat = () => {
+                    const log = new CombatLog(Object.keys(CONFIG.teams));
+                    replay.killRecords().forEach(record => log.add(record));
+                    this.showCombat(log);
+                };
+                replay.events.on('kill', showCombat);
+                replay.events.on('seek', showCombat);
+            },
+            onExit: () => {
+                this.replaySquadron.dispose();
+                this.replaySquadron = null;
+                this.squadron.group.visible = true;
+                this.showScores(this.battle.kills);
+                this.showCombat(this.battle.combat);
+            },
+            onError: msg => this.log(msg)
+        });
+    }
+
+    showScores(scores) {
+        Object.keys(scores).forEach(team => {
+            document.getElementById(`score-${team.toLowerCase()}`).innerText = scores[team];
+        });
+    }
+
+    // Kill feed, ace and losses from a combat log (core/combatlog.js)
+    showCombat(log) {
+        document.getElementById('kill-feed').innerText = killFeed(log);
+        document.getElementById('ace').innerText = aceSummary(log);
+        document.getElementById('losses').innerText = lossSummary(log);
+    }
+
+    bindBattleEvents() {
+        const events = this.battle.events;
+        events.on('kill', ({ kills }) => {
+            this.showScores(kills);
+            this.showCombat(this.battle.combat);
+            this.updateHUD();
+        });
+        events.on('log', msg => this.log(msg));
+        events.on('state', ({ agent, to }) => {
+            if(to === 'RETREAT') this.log(`${agent.team} ${agent.unit} #${agent.id} RETREATING`);
+        });
+        events.on('lead', ({ flight, agent }) => this.log(`${agent.team} FLIGHT ${flight.id}: #${agent.id} TAKES THE LEAD`));
+        events.on('agentAdded', () => this.updateHUD()); // Button spawns and scenario waves alike
+        events.on('victory', ({ name }) => {
+            document.getElementById('sys-status').innerText = name ? `${name.toUpperCase()} VICTORY` : 'DRAW';
+        });
+    }
+
     initThree() {
         this.scene = new THREE.Scene();
         this.scene.fog = new THREE.FogExp2(0x050505, 0.002);
@@ -287,56 +343,17 @@ class Simulation {
     }
 
     spawnFormation(team) {
-        if(this.agents.length >= CONFIG.maxAgents) return;
-
-        const count = 12; // Wing size
-        // Spawn Location (Random Edge)
-        const angle = Math.random() * Math.PI * 2;
-        const radius = CONFIG.worldSize * 0.4;
-        const spawnCenter = new THREE.Vector3(Math.cos(angle)*radius, (Math.random()-0.5)*100, Math.sin(angle)*radius);
-        
-        // Velocity (Towards center)
-        const velocity = new THREE.Vector3().subVectors(new THREE.Vector3(0,0,0), spawnCenter).normalize();
-
-        for(let i=0; i<count; i++) {
-            // Offset for formation
-            const offset = new THREE.Vector3();
-            const config = CONFIG.teams[team];
-            
-            if(config.formation === 'V-SHAPE') {
-                offset.set((i%2===0?1:-1)*(i*10), 0, -i*10); 
-            } else if (config.formation === 'WALL') {
-                offset.set((i-count/2)*20, (Math.random()-0.5)*20, 0);
-            } else { // ECHELON
-                offset.set(i*15, i*5, -i*15);
-            }
-            
-            // Rotate offset to match velocity direction
-            const q = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0,0,1), velocity);
-            offset.applyQuaternion(q);
-
-            const pos = spawnCenter.clone().add(offset);
-            const agent = new Agent(this.scene, team, pos, velocity);
-            this.agents.push(agent);
-        }
-        this.updateHUD();
-    }
-
-    registerKill(killerTeam, victimTeam) {
-        this.kills[killerTeam]++;
-        document.getElementById(`score-${killerTeam.toLowerCase()}`).innerText = this.kills[killerTeam];
-        this.updateHUD();
+        this.battle.spawnFormation(team);
     }
 
     updateHUD() {
         // Count Active Units
-        const counts = { CYAN: 0, MAGENTA: 0, LIME: 0 };
-        this.agents.forEach(a => { if(a.alive) counts[a.team]++; });
+        const counts = this.battle.teamCounts();
         
         document.getElementById('active-cyan').innerText = counts.CYAN;
         document.getElementById('active-magenta').innerText = counts.MAGENTA;
         document.getElementById('active-lime').innerText = counts.LIME;
-        document.getElementById('total-agents').innerText = this.agents.length;
+        document.getElementById('total-agents').innerText = this.battle.agents.length;
     }
 
     log(msg) {
@@ -361,31 +378,53 @@ class Simulation {
     }
 
     reset() {
-        this.agents.forEach(a => {
-            this.scene.remove(a.mesh);
-            this.scene.remove(a.trail);
-        });
-        this.agents = [];
-        this.kills = { CYAN: 0, MAGENTA: 0, LIME: 0 };
-        ['cyan', 'magenta', 'lime'].forEach(t => {
-            document.getElementById(`score-${t}`).innerText = '0';
-        });
-        this.updateHUD();
+        this.match.restart();
     }
 
     animate() {
         requestAnimationFrame(() => this.animate());
-        this.timeScale += (this.targetTimeScale - this.timeScale) * 0.1;
-        const dt = this.clock.getDelta() * this.timeScale;
-
-        // Update Agents
-        this.agents = this.agents.filter(a => a.alive);
-        this.agents.forEach(agent => agent.update(dt, this.agents));
+        const frameDt = Math.min(this.clock.getDelta(), CONFIG.maxFrameDt);
+        this.timeScale += (this.targetTimeScale - this.timeScale) * (1 - Math.pow(0.9, frameDt * 60));
+        const dt = frameDt * this.timeScale;
+
+        // Live battle is frozen while the flight recorder is open
+        this.replay.update(frameDt);
+        if(this.replay.active) {
+            this.replaySquadron.sync(1, dt);
+        } else {
+            // The match clock runs on the battle's steps; forces stand frozen through the
+            // countdown and once the round is called
+            this.loop.advance(dt, step => {
+                this.match.update(step);
+                if(this.match.running) this.battle.update(step);
+            });
+            this.squadron.sync(this.loop.alpha, dt);
+        }
 
         this.controls.update();
         this.composer.render();
-        document.getElementById('fps-counter').innerText = Math.round(1/(dt/this.timeScale)) || 60;
+        document.getElementById('fps-counter').innerText = Math.round(1/frameDt) || 60;
+
+        // AI readout (A few times a second is plenty)
+        this.stateTimer -= frameDt;
+        if(this.stateTimer <= 0 && !this.replay.active) {
+            this.stateTimer = 0.25;
+            document.getElementById('state-summary').innerText = stateSummary(this.battle.agents);
+            this.matchHUD.refresh();
+        }
     }
 }
 
-new Simulation();
+// ?scenario=scenarios/squadron-duel.json plays an authored battle; a broken file is
+// reported on the HUD and the default skirmish runs instead
+const scenarioPath = scenarioPathFromQuery(location.search);
+let scenario = null;
+let scenarioError = null;
+if(scenarioPath) {
+    try {
+        scenario = await fetchScenario(scenarioPath, 'squadron');
+    } catch(e) {
+        scenarioError = e;
+    }
+}
+new Simulation(scenario, scenarioError);
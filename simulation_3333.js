@@ -3,249 +3,86 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
-
-// --- CONFIGURATION ---
-const CONFIG = {
-    worldSize: 1200,
-    count: 3333,
-    baseSpeed: 1.0,
-    slowMoSpeed: 0.1
-};
-
-// --- CLASS DEFINITIONS ---
-const CLASSES = {
-    INTERCEPTOR: {
-        id: 0,
-        name: 'INTERCEPTOR',
-        color: 0x00f3ff,
-        shape: 'tetra',
-        scale: 1.2,
-        speed: 2.5,
-        turnRate: 0.08,
-        fireRate: 0.02,
-        damage: 10
-    },
-    DREADNOUGHT: {
-        id: 1,
-        name: 'DREADNOUGHT',
-        color: 0xff00ff,
-        shape: 'box',
-        scale: 4.0,
-        speed: 0.6,
-        turnRate: 0.02,
-        fireRate: 0.08, // Slow but heavy
-        damage: 50
-    },
-    VIPER: {
-        id: 2,
-        name: 'VIPER',
-        color: 0xccff00,
-        shape: 'octa',
-        scale: 2.0,
-        speed: 1.8,
-        turnRate: 0.12,
-        fireRate: 0.04,
-        damage: 20
-    }
-};
+import { CONFIG, CLASSES, WingManager } from './core/wing.js';
+import { Random } from './core/random.js';
+import { FixedStepLoop } from './core/loop.js';
+import { hullGeometry } from './hulls.js';
+import { LightBudget, SparkEmitters, LaserLines } from './pools.js';
+import { Match } from './core/match.js';
+import { MatchHUD } from './hud/match.js';
 
 const dummy = new THREE.Object3D();
-const _position = new THREE.Vector3();
-const _velocity = new THREE.Vector3();
-const _target = new THREE.Vector3();
 
 // --- FX SYSTEM (Explosions & Lasers) ---
+// Lasers and sparks are pooled, and explosions flash one of a fixed set of lights
+const FX_LIGHTS = 4;
+
 class FXSystem {
     constructor(scene) {
-        this.scene = scene;
-        this.particles = [];
-        this.lasers = [];
-        
-        // Reusable Geometries
-        this.laserGeo = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0,0,0), new THREE.Vector3(0,0,-1)]);
-        this.particleGeo = new THREE.BufferGeometry();
-        const pPos = new Float32Array(3);
-        this.particleGeo.setAttribute('position', new THREE.BufferAttribute(pPos, 3));
+        this.lights = new LightBudget(scene, FX_LIGHTS, 50);
+        this.sparks = new SparkEmitters(scene, 8);
+        this.lasers = new LaserLines(scene);
     }
 
     createLaser(start, end, color) {
-        // Visual Line
-        const mat = new THREE.LineBasicMaterial({ color: color });
-        const geo = new THREE.BufferGeometry().setFromPoints([start, end]);
-        const line = new THREE.Line(geo, mat);
-        this.scene.add(line);
-        this.lasers.push({ mesh: line, age: 0, maxAge: 5 });
+        this.lasers.emit(start, end, { color, life: 5 });
     }
 
     createExplosion(pos, color, scale) {
-        // Flash
-        const light = new THREE.PointLight(color, 2 * scale, 50);
-        light.position.copy(pos);
-        this.scene.add(light);
-
-        // Particles
-        const count = 8;
-        const geo = new THREE.BufferGeometry();
-        const positions = [];
-        const velocities = [];
-        
-        for(let i=0; i<count; i++) {
-            positions.push(pos.x, pos.y, pos.z);
-            velocities.push(
-                (Math.random()-0.5) * 5 * scale,
-                (Math.random()-0.5) * 5 * scale,
-                (Math.random()-0.5) * 5 * scale
-            );
-        }
-        geo.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-        const mat = new THREE.PointsMaterial({ color: color, size: 3 * scale, transparent: true });
-        const points = new THREE.Points(geo, mat);
-        this.scene.add(points);
-
-        this.particles.push({ 
-            mesh: points, 
-            light: light, 
-            velocities: velocities, 
-            age: 0, 
-            decay: 0.05 
-        });
-
+        this.lights.flash(pos, color, 2 * scale);
+        this.sparks.emit(pos, { count: 8, speed: 5 * scale, color, size: 3 * scale, decay: 0.05 });
         window.sim.shaker.trigger(0.2 * scale);
     }
 
-    update() {
-        // Update Lasers
-        for(let i=this.lasers.length-1; i>=0; i--) {
-            const l = this.lasers[i];
-            l.age++;
-            if(l.age > l.maxAge) {
-                this.scene.remove(l.mesh);
-                l.mesh.geometry.dispose();
-                l.mesh.material.dispose();
-                this.lasers.splice(i, 1);
-            }
-        }
+    // Drops every effect in flight, for a fresh battle
+    clear() {
+        this.lasers.clear();
+        this.sparks.clear();
+        this.lights.clear();
+    }
 
-        // Update Particles
-        for(let i=this.particles.length-1; i>=0; i--) {
-            const p = this.particles[i];
-            p.age++;
-            
-            const positions = p.mesh.geometry.attributes.position.array;
-            for(let j=0; j<positions.length/3; j++) {
-                positions[j*3] += p.velocities[j*3];
-                positions[j*3+1] += p.velocities[j*3+1];
-                positions[j*3+2] += p.velocities[j*3+2];
-            }
-            p.mesh.geometry.attributes.position.needsUpdate = true;
-            
-            p.mesh.material.opacity -= p.decay;
-            p.light.intensity *= 0.8;
-
-            if(p.mesh.material.opacity <= 0) {
-                this.scene.remove(p.mesh);
-                this.scene.remove(p.light);
-                p.mesh.geometry.dispose();
-                p.mesh.material.dispose();
-                this.particles.splice(i, 1);
-            }
-        }
+    // dt is scaled sim time, so FX play at the same speed on any refresh rate
+    update(dt) {
+        const k = dt * 60; // Fraction of a 60Hz frame
+        this.lasers.update(k);
+        this.sparks.update(k);
+        this.lights.fade(Math.pow(0.8, k));
     }
 }
 
-// --- LOGIC MANAGER ---
-class WingManager {
-    constructor(scene, count) {
+// --- WING RENDERER (Instanced meshes fed from the core WingManager) ---
+class WingView {
+    constructor(scene, wing) {
         this.scene = scene;
-        this.count = count;
-        this.agents = [];
+        this.wing = wing;
         this.meshes = {};
+        const count = wing.count;
         
         // Initialize Instanced Meshes
         const matBase = { roughness: 0.4, metalness: 0.8 };
         
-        // Interceptor Mesh
-        const geoInt = new THREE.TetrahedronGeometry(1);
-        const matInt = new THREE.MeshStandardMaterial({ ...matBase, color: 0x111111, emissive: CLASSES.INTERCEPTOR.color, emissiveIntensity: 2 });
-        this.meshes[0] = new THREE.InstancedMesh(geoInt, matInt, count); // Allocate max potential
-        this.scene.add(this.meshes[0]);
-
-        // Dreadnought Mesh
-        const geoDread = new THREE.BoxGeometry(1, 1, 2.5);
-        const matDread = new THREE.MeshStandardMaterial({ ...matBase, color: 0x111111, emissive: CLASSES.DREADNOUGHT.color, emissiveIntensity: 3 });
-        this.meshes[1] = new THREE.InstancedMesh(geoDread, matDread, count);
-        this.scene.add(this.meshes[1]);
-
-        // Viper Mesh
-        const geoViper = new THREE.OctahedronGeometry(1);
-        const matViper = new THREE.MeshStandardMaterial({ ...matBase, color: 0x111111, emissive: CLASSES.VIPER.color, emissiveIntensity: 2 });
-        this.meshes[2] = new THREE.InstancedMesh(geoViper, matViper, count);
-        this.scene.add(this.meshes[2]);
-
-        this.initAgents();
-    }
+        // One instanced mesh per class, each allocated for the whole fleet
+        CLASSES.forEach(type => {
+            const mat = new THREE.MeshStandardMaterial({ ...matBase, color: 0x111111, emissive: type.color, emissiveIntensity: 2 });
+            this.meshes[type.id] = new THREE.InstancedMesh(hullGeometry(type.hull), mat, count);
+            this.scene.add(this.meshes[type.id]);
+        });
 
-    initAgents() {
-        for(let i=0; i<this.count; i++) {
-            const r = Math.random();
-            let type;
-            if(r < 0.6) type = CLASSES.INTERCEPTOR;
-            else if (r < 0.85) type = CLASSES.DREADNOUGHT;
-            else type = CLASSES.VIPER;
-
-            this.agents.push({
-                index: i,
-                type: type,
-                alive: true,
-                pos: new THREE.Vector3((Math.random()-0.5)*CONFIG.worldSize, (Math.random()-0.5)*CONFIG.worldSize/2, (Math.random()-0.5)*CONFIG.worldSize),
-                vel: new THREE.Vector3((Math.random()-0.5), (Math.random()-0.5), (Math.random()-0.5)).normalize().multiplyScalar(type.speed),
-                targetPos: new THREE.Vector3()
-            });
-        }
         this.updateCounts();
+        wing.events.on('agentRemoved', () => { this.countsDirty = true; });
+        wing.events.on('reset', () => { this.countsDirty = true; });
     }
 
-    update(dt) {
+    // alpha blends the last two fixed steps so motion stays smooth between them
+    sync(alpha) {
         // Reset counters for instanced mesh rendering
         const counts = { 0: 0, 1: 0, 2: 0 };
 
-        for(let agent of this.agents) {
+        for(let agent of this.wing.agents) {
             if(!agent.alive) continue;
 
-            // 1. Logic
-            if(agent.pos.distanceToSquared(agent.targetPos) < 1000 || Math.random() < 0.01) {
-                // Pick new random point in sphere
-                agent.targetPos.set(
-                    (Math.random()-0.5)*CONFIG.worldSize,
-                    (Math.random()-0.5)*CONFIG.worldSize * 0.5,
-                    (Math.random()-0.5)*CONFIG.worldSize
-                );
-            }
-
-            // Steer
-            const desired = agent.targetPos.clone().sub(agent.pos).normalize().multiplyScalar(agent.type.speed);
-            const steer = desired.sub(agent.vel).multiplyScalar(agent.type.turnRate);
-            agent.vel.add(steer).normalize().multiplyScalar(agent.type.speed);
-            
-            // Move
-            agent.pos.add(agent.vel.clone().multiplyScalar(dt * 60));
-
-            // 2. Combat (Random Firing)
-            if(Math.random() < agent.type.fireRate * dt * 60) {
-                // Pick a random nearby point as "enemy"
-                const target = agent.pos.clone().add(agent.vel.clone().multiplyScalar(20)).add(new THREE.Vector3((Math.random()-0.5)*50, (Math.random()-0.5)*50, (Math.random()-0.5)*50));
-                window.sim.fx.createLaser(agent.pos, target, agent.type.color);
-                
-                // Chance to create explosion at target (simulating hit)
-                if(Math.random() < 0.3) {
-                     window.sim.fx.createExplosion(target, 0xffffff, 0.5);
-                }
-            }
-
-            // 3. Render
-            dummy.position.copy(agent.pos);
-            dummy.lookAt(agent.pos.clone().add(agent.vel));
-            dummy.scale.setScalar(agent.type.scale);
+            const p = dummy.position.lerpVectors(agent.prevPos, agent.pos, alpha);
+            dummy.lookAt(p.x + agent.vel.x, p.y + agent.vel.y, p.z + agent.vel.z);
             dummy.updateMatrix();
 
             const mesh = this.meshes[agent.type.id];
@@ -260,17 +97,19 @@ class WingManager {
         this.meshes[1].instanceMatrix.needsUpdate = true;
         this.meshes[2].count = counts[2];
         this.meshes[2].instanceMatrix.needsUpdate = true;
+
+        // Casualties can land several to a step; refresh the HUD once per frame
+        if(this.countsDirty) this.updateCounts();
     }
 
     updateCounts() {
-        const c = this.agents.filter(a => a.type.id === 0).length;
-        const m = this.agents.filter(a => a.type.id === 1).length;
-        const l = this.agents.filter(a => a.type.id === 2).length;
+        const counts = this.wing.typeCounts();
         
-        document.getElementById('count-cyan').innerText = c;
-        document.getElementById('count-magenta').innerText = m;
-        document.getElementById('count-lime').innerText = l;
-        document.getElementById('total-agents').innerText = this.count;
+        document.getElementById('count-cyan').innerText = counts[0];
+        document.getElementById('count-magenta').innerText = counts[1];
+        document.getElementById('count-lime').innerText = counts[2];
+        document.getElementById('total-agents').innerText = counts[0] + counts[1] + counts[2];
+        this.countsDirty = false;
     }
 }
 
@@ -300,16 +139,49 @@ class Simulation {
         this.timeScale = CONFIG.baseSpeed;
         this.targetTimeScale = CONFIG.baseSpeed;
         this.matrixMode = false;
+        this.loop = new FixedStepLoop(CONFIG.fixedStep);
 
         this.initThree();
         this.shaker = new CameraShake(this.camera);
         this.fx = new FXSystem(this.scene);
-        this.wing = new WingManager(this.scene, CONFIG.count);
+        this.wing = new WingManager(CONFIG.count, { seed: Random.seedFromQuery(location.search) });
+        this.wingView = new WingView(this.scene, this.wing);
+        this.wing.events.on('laser', e => this.fx.createLaser(e.from, e.to, e.color));
+        this.wing.events.on('explosion', e => this.fx.createExplosion(e.position, e.color, e.scale));
         
+        document.getElementById('seed-value').innerText = this.wing.seed;
         window.sim = this;
+        this.initMatch();
         this.animate();
     }
 
+    // Each class fights as its own side, and scores by the ships it has left
+    initMatch() {
+        const wing = this.wing;
+        const byClass = () => {
+            const counts = wing.typeCounts();
+            return Object.fromEntries(CLASSES.map(type => [type.name, counts[type.id]]));
+        };
+        this.match = new Match({
+            events: wing.events,
+            teams: CLASSES.map(type => type.name),
+            seed: wing.seed,
+            counts: byClass,
+            scores: byClass,
+            units: () => wing.agents.filter(a => a.alive).map(a => ({ team: a.type.name, position: a.pos })),
+            restart: seed => this.restartBattle(seed)
+        }, CONFIG.match);
+        this.matchHUD = new MatchHUD(this.match);
+    }
+
+    // A fresh wing on `seed`, without reloading the page
+    restartBattle(seed) {
+        this.wing.reset(seed);
+        this.loop.reset();
+        this.fx.clear();
+        document.getElementById('seed-value').innerText = this.wing.seed;
+    }
+
     initThree() {
         this.scene = new THREE.Scene();
         this.scene.fog = new THREE.FogExp2(0x050505, 0.0015);
@@ -374,23 +246,31 @@ class Simulation {
     }
 
     reset() {
-        location.reload();
+        this.match.restart();
     }
 
     animate() {
         requestAnimationFrame(() => this.animate());
 
-        this.timeScale += (this.targetTimeScale - this.timeScale) * 0.1;
-        const dt = this.clock.getDelta() * this.timeScale;
+        const frameDt = Math.min(this.clock.getDelta(), CONFIG.maxFrameDt);
+        this.timeScale += (this.targetTimeScale - this.timeScale) * (1 - Math.pow(0.9, frameDt * 60));
+        const dt = frameDt * this.timeScale;
 
-        this.wing.update(dt);
-        this.fx.update();
+        // The match clock runs on the wing's steps; the wing holds still through the
+        // countdown and once the round is called
+        this.loop.advance(dt, step => {
+            this.match.update(step);
+            if(this.match.running) this.wing.update(step);
+        });
+        this.wingView.sync(this.loop.alpha);
+        this.fx.update(dt);
         this.shaker.update();
         this.controls.update();
         this.composer.render();
 
-        document.getElementById('fps-counter').innerText = Math.round(1/dt * this.timeScale) || 60;
+        document.getElementById('fps-counter').innerText = Math.round(1/frameDt) || 60;
         document.getElementById('sim-speed').innerText = Math.round(this.timeScale * 100) + "%";
+        this.matchHUD.refresh();
     }
 }
 
@@ -3,6 +3,13 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { SHIP_TYPES } from './core/swarm.js';
+import { RemoteSwarm } from './core/remoteswarm.js';
+import { Random } from './core/random.js';
+import { hullGeometry } from './hulls.js';
+import { LightBudget, SparkEmitters, LaserLines } from './pools.js';
+import { Match } from './core/match.js';
+import { MatchHUD } from './hud/match.js';
 
 // --- CONFIGURATION ---
 const CONFIG = {
@@ -10,84 +17,44 @@ const CONFIG = {
     initialCount: 333, // 33,333 THE Original GOAL
     maxParticles: 10, // 1000
     baseSpeed: 0.777, // 1.0
-    slowMoSpeed: 0.025
+    slowMoSpeed: 0.025,
+    reinforceCount: 10000, // Ships per REINFORCE SECTOR press
+    fixedStep: 1 / 60, // Seconds of sim time per physics step (run in the swarm worker)
+    maxFrameDt: 0.25, // Longest frame fed to the loop, so a stalled tab doesn't jump the battle
+    match: { timeLimit: 180 } // Victory rules for each round, see core/match.js; classes score by survivors
 };
 
-// --- SHIP CLASSES & STATS ---
-const SHIP_TYPES = {
-    INTERCEPTOR: { 
-        id: 0, color: 0x00f3ff, scale: 1.5, speed: 3.5, turn: 0.08, 
-        geo: new THREE.TetrahedronGeometry(1) 
-    },
-    DREADNOUGHT: { 
-        id: 1, color: 0xff00ff, scale: 6.0, speed: 0.8, turn: 0.02, 
-        geo: new THREE.BoxGeometry(1, 1, 2) 
-    },
-    VIPER: { 
-        id: 2, color: 0xccff00, scale: 2.5, speed: 2.5, turn: 0.12, 
-        geo: new THREE.OctahedronGeometry(1) 
-    }
-};
-
-// --- EFFICIENT MATH TOOLS ---
-const dummy = new THREE.Object3D();
-const _position = new THREE.Vector3();
-const _velocity = new THREE.Vector3();
-const _target = new THREE.Vector3();
+// --- SHIP GEOMETRY (Hulls and stats live in the core unit registry) ---
+const SHIP_GEOMETRY = SHIP_TYPES.map(type => hullGeometry(type.hull));
 
-// --- CLASS: SWARM MANAGER (The Engine) ---
-class SwarmManager {
-    constructor(scene, count) {
+// --- CLASS: SWARM VIEW (Instanced meshes fed with matrices from the swarm worker) ---
+class SwarmView {
+    constructor(scene, swarm) {
         this.scene = scene;
-        this.count = count;
+        this.swarm = swarm;
         this.meshMap = {}; // Holds InstancedMeshes by Type
-        
-        // --- DATA ORIENTED DESIGN (Arrays > Objects for performance) ---
-        // Each index 'i' represents one ship across all these arrays
-        this.types = new Uint8Array(count); // 0, 1, or 2
-        this.positions = new Float32Array(count * 3); // x, y, z
-        this.velocities = new Float32Array(count * 3); // vx, vy, vz
-        this.targets = new Float32Array(count * 3); // tx, ty, tz (where they want to go)
-        this.alive = new Uint8Array(count).fill(1);
-        
-        // Initialize Data
-        this.initData();
-        this.initMeshes();
-    }
-
-    initData() {
-        for(let i = 0; i < this.count; i++) {
-            // Distribute Types: 70% Interceptors, 20% Dreadnoughts, 10% Vipers
-            const r = Math.random();
-            if (r < 0.7) this.types[i] = 0;
-            else if (r < 0.9) this.types[i] = 1;
-            else this.types[i] = 2;
-
-            // Random Position in sphere
-            const phi = Math.acos( -1 + ( 2 * i ) / this.count );
-            const theta = Math.sqrt( this.count * Math.PI ) * phi;
-            const rad = CONFIG.worldSize * 0.8 * Math.random();
-            
-            this.positions[i*3] = rad * Math.cos(theta) * Math.sin(phi);
-            this.positions[i*3+1] = rad * Math.sin(theta) * Math.sin(phi);
-            this.positions[i*3+2] = rad * Math.cos(phi);
-
-            // Random Velocity
-            this.velocities[i*3] = (Math.random()-0.5) * 2;
-            this.velocities[i*3+1] = (Math.random()-0.5) * 2;
-            this.velocities[i*3+2] = (Math.random()-0.5) * 2;
-
-            // Initial Target (Center)
-            this.targets[i*3] = 0;
-            this.targets[i*3+1] = 0;
-            this.targets[i*3+2] = 0;
-        }
         this.updateCounts();
+
+        // Built once the worker reports its pool size, and rebuilt when reinforcements outgrow it
+        swarm.events.on('capacityChanged', () => {
+            this.initMeshes();
+            this.updateCounts();
+        });
+        swarm.events.on('frame', () => this.upload());
+        swarm.events.on('reset', () => { this.shownCount = -1; }); // Refresh on the first fresh frame
     }
 
     initMeshes() {
         // Create one InstancedMesh per Ship Type
-        Object.values(SHIP_TYPES).forEach(type => {
+        SHIP_TYPES.forEach(type => {
+            const old = this.meshMap[type.id];
+            if(old) {
+                // Geometry is shared across rebuilds; only the per-mesh GPU buffers go
+                this.scene.remove(old);
+                old.material.dispose();
+                old.dispose();
+            }
+
             const material = new THREE.MeshStandardMaterial({
                 color: 0x111111,
                 emissive: type.color,
@@ -97,169 +64,77 @@ class SwarmManager {
             });
 
             // We allocate enough space for ALL ships, but only use what we need
-            const mesh = new THREE.InstancedMesh(type.geo, material, this.count);
+            const mesh = new THREE.InstancedMesh(SHIP_GEOMETRY[type.id], material, this.swarm.capacity);
             mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
             this.scene.add(mesh);
             this.meshMap[type.id] = mesh;
         });
     }
 
-    update(dt, time) {
-        // Optimize: Don't update mesh matrix every frame if too slow? 
-        // No, we must for smoothness. We use the dummy object.
-        
-        let counts = { 0: 0, 1: 0, 2: 0 }; // Track index for each mesh
-
-        for(let i = 0; i < this.count; i++) {
-            if(this.alive[i] === 0) continue;
-
-            const typeId = this.types[i];
-            const typeConfig = Object.values(SHIP_TYPES)[typeId];
-
-            // 1. READ DATA
-            _position.set(this.positions[i*3], this.positions[i*3+1], this.positions[i*3+2]);
-            _velocity.set(this.velocities[i*3], this.velocities[i*3+1], this.velocities[i*3+2]);
-            _target.set(this.targets[i*3], this.targets[i*3+1], this.targets[i*3+2]);
-
-            // 2. LOGIC (Simplified Boids for Performance)
-            
-            // Periodically pick new random target if close
-            if (_position.distanceToSquared(_target) < 4000) {
-                this.targets[i*3] = (Math.random()-0.5) * CONFIG.worldSize;
-                this.targets[i*3+1] = (Math.random()-0.5) * CONFIG.worldSize;
-                this.targets[i*3+2] = (Math.random()-0.5) * CONFIG.worldSize;
-            }
-
-            // Steer towards target
-            const desired = _target.clone().sub(_position).normalize().multiplyScalar(typeConfig.speed);
-            const steer = desired.sub(_velocity).multiplyScalar(typeConfig.turn);
-            _velocity.add(steer).normalize().multiplyScalar(typeConfig.speed);
-
-            // Move
-            _position.add(_velocity.clone().multiplyScalar(dt * 60));
-
-            // WRITE BACK DATA
-            this.positions[i*3] = _position.x;
-            this.positions[i*3+1] = _position.y;
-            this.positions[i*3+2] = _position.z;
-            this.velocities[i*3] = _velocity.x;
-            this.velocities[i*3+1] = _velocity.y;
-            this.velocities[i*3+2] = _velocity.z;
-
-            // 3. RENDER UPDATE
-            dummy.position.copy(_position);
-            
-            // Orient to velocity
-            const lookAtPos = _position.clone().add(_velocity);
-            dummy.lookAt(lookAtPos);
-            dummy.scale.setScalar(typeConfig.scale);
-            dummy.updateMatrix();
-
-            // Set matrix at the correct index for this specific Mesh Type
-            this.meshMap[typeId].setMatrixAt(counts[typeId], dummy.matrix);
-            counts[typeId]++;
-            
-            // 4. RANDOM COMBAT (Simulated)
-            // 1 in 5000 chance per frame to explode if near center
-            if(Math.random() < 0.0002 && _position.length() < 300) {
-                // Determine explosion size by type
-                const boomScale = typeId === 1 ? 4.0 : 1.0; 
-                window.sim.fx.triggerExplosion(_position, typeConfig.color, boomScale);
-            }
-        }
-
-        // Inform Three.js to update GPU
-        Object.values(SHIP_TYPES).forEach(type => {
-            this.meshMap[type.id].count = counts[type.id];
-            this.meshMap[type.id].instanceMatrix.needsUpdate = true;
+    // The worker already interpolated and composed every matrix; just hand them to the GPU
+    upload() {
+        const { matrices, counts } = this.swarm;
+        SHIP_TYPES.forEach(type => {
+            const mesh = this.meshMap[type.id];
+            mesh.instanceMatrix.array.set(matrices[type.id].subarray(0, counts[type.id] * 16));
+            mesh.count = counts[type.id];
+            mesh.instanceMatrix.needsUpdate = true;
         });
-    }
 
-    updateCounts() {
-        let c = 0, m = 0, l = 0;
-        for(let i=0; i<this.count; i++) {
-            if(this.types[i]===0) c++;
-            if(this.types[i]===1) m++;
-            if(this.types[i]===2) l++;
-        }
-        document.getElementById('count-cyan').innerText = c;
-        document.getElementById('count-magenta').innerText = m;
-        document.getElementById('count-lime').innerText = l;
-        document.getElementById('total-agents').innerText = this.count;
+        // Reinforcements arrive and ships die in the worker; refresh the HUD when the tally moves
+        if(this.swarm.liveCount !== this.shownCount) this.updateCounts();
     }
 
-    addAgents(amount) {
-        // In a fixed array system, "Adding" usually means expanding arrays
-        // For this demo, we will just log it, as re-allocating 33k arrays on the fly is heavy
-        console.log("Reinforcements inbound... (Logic limit reached for this allocated buffer)");
-        // To really add, we'd need to create larger Float32Arrays and copy data over.
+    updateCounts() {
+        // Safe DOM updates
+        const updateDOM = (id, val) => {
+            const el = document.getElementById(id);
+            if(el) el.innerText = val;
+        };
+
+        const counts = this.swarm.typeCounts();
+        updateDOM('count-cyan', counts[0]);
+        updateDOM('count-magenta', counts[1]);
+        updateDOM('count-lime', counts[2]);
+        updateDOM('total-agents', this.swarm.liveCount);
+        this.shownCount = this.swarm.liveCount;
     }
 }
 
-// --- FX SYSTEM (Explosions) ---
+// --- FX SYSTEM (Lasers & Explosions) ---
+// Lasers and sparks are pooled, and explosions flash one of a fixed set of lights
+const FX_LIGHTS = 4;
+
 class FXSystem {
     constructor(scene) {
-        this.scene = scene;
-        this.explosions = [];
-        
-        // Reusable geometry for performance
-        this.particleGeo = new THREE.BufferGeometry();
-        const pPos = new Float32Array(30 * 3);
-        this.particleGeo.setAttribute('position', new THREE.BufferAttribute(pPos, 3));
+        this.lights = new LightBudget(scene, FX_LIGHTS, 100);
+        this.sparks = new SparkEmitters(scene, 30);
+        this.lasers = new LaserLines(scene);
     }
 
-    triggerExplosion(pos, colorHex, scale) {
-        // Add light flash
-        const light = new THREE.PointLight(colorHex, 5 * scale, 100);
-        light.position.copy(pos);
-        this.scene.add(light);
-
-        // Simple particle burst
-        const mat = new THREE.PointsMaterial({ color: colorHex, size: 2 * scale, transparent: true });
-        const particles = new THREE.Points(this.particleGeo.clone(), mat);
-        
-        // Initialize particle positions at center
-        const posAttr = particles.geometry.attributes.position;
-        const velocities = [];
-        for(let i=0; i<30; i++) {
-            posAttr.setXYZ(i, pos.x, pos.y, pos.z);
-            velocities.push(
-                (Math.random()-0.5)*5*scale, 
-                (Math.random()-0.5)*5*scale, 
-                (Math.random()-0.5)*5*scale
-            );
-        }
-        this.scene.add(particles);
+    triggerLaser(start, end, colorHex) {
+        this.lasers.emit(start, end, { color: colorHex, life: 10, opacity: 0.8, fade: 0.1 });
+    }
 
-        this.explosions.push({ mesh: particles, light: light, vels: velocities, age: 0 });
-        
-        // Camera Shake
+    triggerExplosion(pos, colorHex, scale) {
+        this.lights.flash(pos, colorHex, 5 * scale);
+        this.sparks.emit(pos, { count: 30, speed: 5 * scale, color: colorHex, size: 2 * scale, decay: 0.03 });
         window.sim.shaker.trigger(0.5 * scale);
     }
 
-    update() {
-        for(let i = this.explosions.length - 1; i >= 0; i--) {
-            const ex = this.explosions[i];
-            ex.age += 1;
-            
-            // Expand particles
-            const posAttr = ex.mesh.geometry.attributes.position;
-            for(let j=0; j<30; j++) {
-                posAttr.setX(j, posAttr.getX(j) + ex.vels[j*3]);
-                posAttr.setY(j, posAttr.getY(j) + ex.vels[j*3+1]);
-                posAttr.setZ(j, posAttr.getZ(j) + ex.vels[j*3+2]);
-            }
-            posAttr.needsUpdate = true;
-            ex.mesh.material.opacity -= 0.03;
-            ex.light.intensity *= 0.9;
-
-            if(ex.mesh.material.opacity <= 0) {
-                this.scene.remove(ex.mesh);
-                this.scene.remove(ex.light);
-                ex.mesh.geometry.dispose();
-                this.explosions.splice(i, 1);
-            }
-        }
+    // Drops every effect in flight, for a fresh battle
+    clear() {
+        this.lasers.clear();
+        this.sparks.clear();
+        this.lights.clear();
+    }
+
+    // dt is scaled sim time, so FX play at the same speed on any refresh rate
+    update(dt) {
+        const k = dt * 60; // Fraction of a 60Hz frame
+        this.lasers.update(k);
+        this.sparks.update(k);
+        this.lights.fade(Math.pow(0.9, k));
     }
 }
 
@@ -293,12 +168,47 @@ class Simulation {
         this.fx = new FXSystem(this.scene);
         
         // THE SWARM
-        this.swarm = new SwarmManager(this.scene, CONFIG.initialCount);
-
+        this.swarm = new RemoteSwarm(CONFIG.initialCount, { seed: Random.seedFromQuery(location.search), worldSize: CONFIG.worldSize, combat: { tracerChance: 0 } }, CONFIG.fixedStep);
+        this.swarmView = new SwarmView(this.scene, this.swarm);
+        this.swarm.events.on('laser', e => this.fx.triggerLaser(e.from, e.to, e.color));
+        this.swarm.events.on('explosion', e => this.fx.triggerExplosion(e.position, e.color, e.scale));
+
+        const seedEl = document.getElementById('seed-value');
+        if(seedEl) seedEl.innerText = this.swarm.seed;
+        this.initMatch();
         window.sim = this;
         this.animate();
     }
 
+    // Each class fights as its own side, and scores by the ships it has left. Ship positions
+    // stay in the worker, so rounds here can't be played for an objective.
+    initMatch() {
+        const swarm = this.swarm;
+        const byClass = () => {
+            const counts = swarm.typeCounts();
+            return Object.fromEntries(SHIP_TYPES.map(type => [type.name, counts[type.id]]));
+        };
+        this.match = new Match({
+            events: swarm.events,
+            teams: SHIP_TYPES.map(type => type.name),
+            seed: swarm.seed,
+            counts: byClass,
+            scores: byClass,
+            units: () => [],
+            restart: seed => this.restartBattle(seed)
+        }, CONFIG.match);
+        this.matchHUD = new MatchHUD(this.match);
+        swarm.events.on('frame', () => { for(let i = 0; i < swarm.steps; i++) this.match.update(CONFIG.fixedStep); });
+    }
+
+    // A fresh swarm on `seed`, without reloading the page or the worker
+    restartBattle(seed) {
+        this.swarm.reset(seed);
+        this.fx.clear();
+        const seedEl = document.getElementById('seed-value');
+        if(seedEl) seedEl.innerText = this.swarm.seed;
+    }
+
     initThree() {
         this.scene = new THREE.Scene();
         this.scene.fog = new THREE.FogExp2(0x050505, 0.001);
@@ -363,27 +273,31 @@ class Simulation {
     }
 
     deploySwarm() {
-        alert("Swarm reinforcement protocols are strictly defined by allocation buffers. Reset to increase count.");
+        this.swarm.addAgents(CONFIG.reinforceCount);
     }
 
     reset() {
-        location.reload();
+        this.match.restart();
     }
 
     animate() {
         requestAnimationFrame(() => this.animate());
 
-        this.timeScale += (this.targetTimeScale - this.timeScale) * 0.1;
-        const dt = this.clock.getDelta() * this.timeScale;
+        const frameDt = Math.min(this.clock.getDelta(), CONFIG.maxFrameDt);
+        this.timeScale += (this.targetTimeScale - this.timeScale) * (1 - Math.pow(0.9, frameDt * 60));
+        const dt = frameDt * this.timeScale;
 
-        this.swarm.update(dt, this.clock.elapsedTime);
-        this.fx.update();
+        // The swarm holds still through the countdown and once the round is called, but the
+        // worker still counts the steps for the match clock and sends frames so the fleet shows
+        this.swarm.advance(dt, !this.match.running);
+        this.fx.update(dt);
         this.shaker.update();
         this.controls.update();
         this.composer.render();
 
-        document.getElementById('fps-counter').innerText = Math.round(1/dt * this.timeScale);
+        document.getElementById('fps-counter').innerText = Math.round(1/frameDt);
         document.getElementById('sim-speed').innerText = Math.round(this.timeScale * 100) + "%";
+        this.matchHUD.refresh();
     }
 }
 